@@ -33,17 +33,34 @@ interface Options extends FormatOptions {
 	exif?: FormatOptions | boolean,
 	gps?: FormatOptions | boolean,
 	interop?: FormatOptions | boolean,
+	subIfds?: FormatOptions | boolean,
+	geotiff?: FormatOptions | boolean,
 	// notable properties in TIFF
 	makerNote?: boolean,
 	userComment?: boolean,
+	pages?: boolean,
 	// Other segments
 	xmp?: FormatOptions | boolean,
 	icc?: FormatOptions | boolean,
 	iptc?: FormatOptions | boolean,
-	// JPEG only segment
+	photoshop?: FormatOptions | boolean,
+	// JPEG only segments
 	jfif?: FormatOptions | boolean,
+	jpeg?: FormatOptions | boolean,
+	mpf?: FormatOptions | boolean,
+	adobe?: FormatOptions | boolean,
+	ducky?: FormatOptions | boolean,
 	// PNG only only segment
 	ihdr?: FormatOptions | boolean,
+	// JPEG 2000 only segment
+	jp2h?: FormatOptions | boolean,
+	// WebP only segment
+	webp?: FormatOptions | boolean,
+	// HEIC and AVIF only segment
+	heif?: FormatOptions | boolean,
+	quicktime?: FormatOptions | boolean,
+	gif?: FormatOptions | boolean,
+	psd?: FormatOptions | boolean,
 	// other options
 	sanitize?: boolean,
 	mergeOutput?: boolean,
@@ -69,6 +86,7 @@ export function rotation(data: Input): Promise<IRotation | undefined>;
 export function thumbnail(data: Input): Promise<Uint8Array | Buffer | undefined>;
 export function thumbnailUrl(data: Input): Promise<string | undefined>;
 export function sidecar(data: Input, options?: Options, type?: string): Promise<object | undefined>;
+export function mpfImages(data: Input): Promise<Array<Uint8Array | Buffer> | undefined>;
 
 export const rotations:    {[index: number]: IRotation};
 export const rotateCanvas: boolean;
@@ -87,6 +105,7 @@ export class Exifr {
 	read(data: Input): Promise<void>;
 	parse(): Promise<any>;
 	extractThumbnail(): Promise<Uint8Array | undefined>;
+	extractMpfImages(): Promise<Uint8Array[] | undefined>;
 }
 
 declare const _default: {
@@ -97,6 +116,7 @@ declare const _default: {
 	thumbnail:    typeof thumbnail;
 	thumbnailUrl: typeof thumbnailUrl;
 	sidecar:      typeof sidecar;
+	mpfImages:    typeof mpfImages;
 
 	rotations:    typeof rotations;
 	rotateCanvas: typeof rotateCanvas;
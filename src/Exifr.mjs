@@ -46,6 +46,8 @@ export class Exifr {
 		if (this.options.silentErrors) {
 			await this.executeParsers().catch(this.pushToErrors)
 			errors.push(...this.fileParser.errors)
+			for (let parser of Object.values(this.parsers))
+				errors.push(...parser.errors)
 		} else {
 			await this.executeParsers()
 		}
@@ -81,6 +83,12 @@ export class Exifr {
 	async extractThumbnail() {
 		this.setup()
 		let {options, file} = this
+		// HEIC and AVIF store thumbnail as separate image item, not in TIFF. Their file parsers extract it themselves.
+		if (this.fileParser.extractThumbnail) {
+			let thumb = await this.fileParser.extractThumbnail()
+			if (file.close) file.close()
+			return thumb
+		}
 		let TiffParser = segmentParsers.get('tiff', options)
 		var seg
 		if (file.tiff)
@@ -95,4 +103,28 @@ export class Exifr {
 		return thumb
 	}
 
-}
+	// MPO files (and some camera JPEGs) have additional images appended after the primary image.
+	// Their positions are listed in MPF segment (APP2). Returns array of images in the order of MP Entries.
+	async extractMpfImages() {
+		this.setup()
+		let {options, file} = this
+		if (!file.jpeg) return
+		let seg = await this.fileParser.getOrFindSegment('mpf')
+		if (seg === undefined) return
+		let MpfParser = segmentParsers.get('mpf', options)
+		let chunk = await this.fileParser.ensureSegmentChunk(seg)
+		let parser = this.parsers.mpf = new MpfParser(chunk, options, file)
+		parser.parse()
+		let images = []
+		for (let {offset, length} of parser.getImagePositions(seg.start)) {
+			await file.ensureChunk(offset, length)
+			let available = file.chunked ? file.available(offset, length) : offset + length <= file.byteLength
+			if (!available)
+				throwError(`MPF image at offset ${offset} is outside of file`)
+			images.push(file.getUint8Array(offset, length))
+		}
+		if (file.close) file.close()
+		return images
+	}
+
+}
\ No newline at end of file
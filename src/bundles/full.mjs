@@ -7,8 +7,9 @@ import * as lite from './lite.mjs'
 export default lite
 
 
-// Highlevel API: parseSidecar()
+// Highlevel API: parseSidecar(), mpfImages()
 export * from '../highlevel/sidecar.mjs'
+export * from '../highlevel/mpf.mjs'
 
 // File Readers
 import '../file-readers/FsReader.mjs'
@@ -18,20 +19,72 @@ import '../file-readers/Base64Reader.mjs'
 import '../file-parsers/tiff.mjs'
 import '../file-parsers/heif.mjs'
 import '../file-parsers/png.mjs'
+import '../file-parsers/jp2.mjs'
+import '../file-parsers/webp.mjs'
+import '../file-parsers/cr3.mjs'
+import '../file-parsers/quicktime.mjs'
+import '../file-parsers/gif.mjs'
+import '../file-parsers/jxl.mjs'
+import '../file-parsers/psd.mjs'
 
 // TIFF - Additional tags
 import '../dicts/tiff-interop-keys.mjs'
 import '../dicts/tiff-other-keys.mjs'
 import '../dicts/tiff-gps-values.mjs'
 
+// GeoTIFF
+import '../dicts/tiff-geotiff-keys.mjs'
+import '../dicts/tiff-geotiff-values.mjs'
+
 // JFIF (JPEG header)
 import '../segment-parsers/jfif.mjs'
 import '../dicts/jfif-keys.mjs'
 
+// JPEG (frame info and comments)
+import '../segment-parsers/jpeg.mjs'
+import '../dicts/jpeg-values.mjs'
+
+// Adobe (APP14 color transform)
+import '../segment-parsers/adobe.mjs'
+import '../dicts/adobe-keys.mjs'
+import '../dicts/adobe-values.mjs'
+
+// Ducky (APP12 save for web)
+import '../segment-parsers/ducky.mjs'
+import '../dicts/ducky-keys.mjs'
+
 // IHDR (PNG header)
 import '../segment-parsers/ihdr.mjs'
 import '../dicts/ihdr-keys.mjs'
 import '../dicts/ihdr-values.mjs'
+import '../dicts/ihdr-revivers.mjs'
+
+// JP2H (JPEG 2000 header)
+import '../segment-parsers/jp2h.mjs'
+import '../dicts/jp2h-keys.mjs'
+import '../dicts/jp2h-values.mjs'
+
+// WEBP (WebP header)
+import '../segment-parsers/webp.mjs'
+import '../dicts/webp-keys.mjs'
+import '../dicts/webp-values.mjs'
+
+// HEIF image properties
+import '../segment-parsers/heif.mjs'
+
+// QuickTime / MP4 video metadata
+import '../segment-parsers/quicktime.mjs'
+import '../dicts/quicktime-keys.mjs'
+import '../dicts/quicktime-revivers.mjs'
+
+// GIF (GIF header)
+import '../segment-parsers/gif.mjs'
+import '../dicts/gif-keys.mjs'
+
+// PSD (Photoshop file header)
+import '../segment-parsers/psd.mjs'
+import '../dicts/psd-keys.mjs'
+import '../dicts/psd-values.mjs'
 
 // ICC
 import '../segment-parsers/icc.mjs'
@@ -41,4 +94,13 @@ import '../dicts/icc-values.mjs'
 // IPTC
 import '../segment-parsers/iptc.mjs'
 import '../dicts/iptc-keys.mjs'
-import '../dicts/iptc-values.mjs'
\ No newline at end of file
+import '../dicts/iptc-values.mjs'
+
+// Photoshop Image Resources
+import '../segment-parsers/photoshop.mjs'
+import '../dicts/photoshop-values.mjs'
+
+// MPF (Multi-Picture Format index)
+import '../segment-parsers/mpf.mjs'
+import '../dicts/mpf-keys.mjs'
+import '../dicts/mpf-values.mjs'
\ No newline at end of file
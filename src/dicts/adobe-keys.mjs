@@ -0,0 +1,11 @@
+import {tagKeys, createDictionary} from '../tags.mjs'
+
+
+// APP14 Adobe Tags
+// the number is not a tag code but an offset in the segment
+createDictionary(tagKeys, 'adobe', [
+	[0, 'DCTEncodeVersion'],
+	[2, 'APP14Flags0'],
+	[4, 'APP14Flags1'],
+	[6, 'ColorTransform'],
+])
\ No newline at end of file
@@ -0,0 +1,12 @@
+import {tagValues, createDictionary} from '../tags.mjs'
+
+
+createDictionary(tagValues, 'adobe', [
+
+	[6, {
+		0: 'Unknown (RGB or CMYK)',
+		1: 'YCbCr',
+		2: 'YCCK',
+	}],
+
+])
\ No newline at end of file
@@ -0,0 +1,9 @@
+import {tagKeys, createDictionary} from '../tags.mjs'
+
+
+// APP12 Ducky Tags
+createDictionary(tagKeys, 'ducky', [
+	[1, 'Quality'],
+	[2, 'Comment'],
+	[3, 'Copyright'],
+])
\ No newline at end of file
@@ -0,0 +1,15 @@
+import {tagKeys, createDictionary} from '../tags.mjs'
+
+
+// GIF header (signature and Logical Screen Descriptor)
+// the number is not a tag code but an offset in buffer (packed fields have the index after the dot)
+// https://exiftool.org/TagNames/GIF.html
+createDictionary(tagKeys, 'gif', [
+	[3,    'GIFVersion'],
+	[6,    'ImageWidth'],
+	[8,    'ImageHeight'],
+	[10.1, 'HasColorMap'],
+	[10.2, 'ColorResolutionDepth'],
+	[10.3, 'BitsPerPixel'],
+	[11,   'BackgroundColor'],
+])
\ No newline at end of file
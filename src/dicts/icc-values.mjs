@@ -324,6 +324,18 @@ const tech = {
 	vidm:   'Video Monitor',
 }
 
+const illuminants = {
+	0: 'Unknown',
+	1: 'D50',
+	2: 'D65',
+	3: 'D93',
+	4: 'F2',
+	5: 'D55',
+	6: 'A',
+	7: 'Equi-Power (E)',
+	8: 'F8',
+}
+
 
 createDictionary(tagValues, 'icc', [
 	[4,  companies],
@@ -338,4 +350,30 @@ createDictionary(tagValues, 'icc', [
 		3: 'Absolute Colorimetric',
 	}],
 	['tech', tech],
+	// values of measurement, viewing conditions and chromaticity tags are objects
+	['meas', {
+		observer: {
+			0: 'Unknown',
+			1: 'CIE 1931',
+			2: 'CIE 1964',
+		},
+		geometry: {
+			0: 'Unknown',
+			1: '0/45 or 45/0',
+			2: '0/d or d/0',
+		},
+		illuminant: illuminants,
+	}],
+	['view', {
+		illuminantType: illuminants,
+	}],
+	['chrm', {
+		colorant: {
+			0: 'Unknown',
+			1: 'ITU-R BT.709',
+			2: 'SMPTE RP145-1994',
+			3: 'EBU Tech.3213-E',
+			4: 'P22',
+		},
+	}],
 ])
\ No newline at end of file
@@ -0,0 +1,12 @@
+import {tagRevivers, createDictionary} from '../tags.mjs'
+
+
+// Time of the last modification from tIME chunk is always in UTC.
+createDictionary(tagRevivers, 'ihdr', [
+	['ModifyDate', reviveUtcDate],
+])
+
+function reviveUtcDate(string) {
+	let [year, month, day, hour, minute, second] = string.split(/[: ]/).map(Number)
+	return new Date(Date.UTC(year, month - 1, day, hour, minute, second))
+}
\ No newline at end of file
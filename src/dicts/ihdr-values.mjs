@@ -29,4 +29,18 @@ createDictionary(tagValues, 'ihdr', [
 		DEFAULT: 'Unknown',
 	}],
 
+	// pHYs chunk
+	['PixelUnits', {
+		0: 'Unknown',
+		1: 'meters',
+	}],
+
+	// sRGB chunk
+	['SRGBRendering', {
+		0: 'Perceptual',
+		1: 'Relative Colorimetric',
+		2: 'Saturation',
+		3: 'Absolute Colorimetric',
+	}],
+
 ])
\ No newline at end of file
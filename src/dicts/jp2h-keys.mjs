@@ -0,0 +1,17 @@
+import {tagKeys, createDictionary} from '../tags.mjs'
+
+
+
+// JP2 Header Tags
+// the number is not a tag code but an offset in buffer (ihdr box)
+// so there's no missing 1,2,3,5,6,7, etc... tag
+// Resolution (from resc and resd boxes) is in pixels per meter.
+createDictionary(tagKeys, 'jp2h', [
+	[0,  'ImageHeight'],
+	[4,  'ImageWidth'],
+	[8,  'NumberOfComponents'],
+	[10, 'BitsPerComponent'],
+	[11, 'Compression'],
+	[12, 'ColorSpaceUnknown'],
+	[13, 'IntellectualProperty'],
+])
\ No newline at end of file
@@ -0,0 +1,45 @@
+import {tagValues, createDictionary} from '../tags.mjs'
+
+
+// JP2 Header Tags
+// https://exiftool.org/TagNames/Jpeg2000.html
+createDictionary(tagValues, 'jp2h', [
+
+	[11, {
+		7: 'JPEG 2000',
+		DEFAULT: 'Unknown',
+	}],
+
+	[12, {
+		0: 'No',
+		1: 'Yes',
+	}],
+
+	[13, {
+		0: 'No',
+		1: 'Yes',
+	}],
+
+	['ColorSpace', {
+		0:  'Bi-level',
+		1:  'YCbCr(1)',
+		3:  'YCbCr(2)',
+		4:  'YCbCr(3)',
+		9:  'PhotoYCC',
+		11: 'CMY',
+		12: 'CMYK',
+		13: 'YCCK',
+		14: 'CIELab',
+		15: 'Bi-level(2)',
+		16: 'sRGB',
+		17: 'Grayscale',
+		18: 'sYCC',
+		19: 'CIEJab',
+		20: 'e-sRGB',
+		21: 'ROMM-RGB',
+		22: 'YPbPr(1125/60)',
+		23: 'YPbPr(1250/50)',
+		24: 'e-sYCC',
+	}],
+
+])
\ No newline at end of file
@@ -0,0 +1,34 @@
+import {tagValues, createDictionary} from '../tags.mjs'
+
+
+// JPEG Start Of Frame
+// https://exiftool.org/TagNames/JPEG.html#SOF
+createDictionary(tagValues, 'jpeg', [
+
+	// SOFn marker
+	['EncodingProcess', {
+		0xC0: 'Baseline DCT, Huffman coding',
+		0xC1: 'Extended sequential DCT, Huffman coding',
+		0xC2: 'Progressive DCT, Huffman coding',
+		0xC3: 'Lossless, Huffman coding',
+		0xC5: 'Sequential DCT, differential Huffman coding',
+		0xC6: 'Progressive DCT, differential Huffman coding',
+		0xC7: 'Lossless, differential Huffman coding',
+		0xC9: 'Extended sequential DCT, arithmetic coding',
+		0xCA: 'Progressive DCT, arithmetic coding',
+		0xCB: 'Lossless, arithmetic coding',
+		0xCD: 'Extended sequential DCT, differential arithmetic coding',
+		0xCE: 'Progressive DCT, differential arithmetic coding',
+		0xCF: 'Lossless, differential arithmetic coding',
+	}],
+
+	['YCbCrSubSampling', {
+		'1 1': 'YCbCr4:4:4 (1 1)',
+		'1 2': 'YCbCr4:4:0 (1 2)',
+		'2 1': 'YCbCr4:2:2 (2 1)',
+		'2 2': 'YCbCr4:2:0 (2 2)',
+		'4 1': 'YCbCr4:1:1 (4 1)',
+		'4 2': 'YCbCr4:1:0 (4 2)',
+	}],
+
+])
\ No newline at end of file
@@ -0,0 +1,12 @@
+import {tagKeys, createDictionary} from '../tags.mjs'
+
+
+// MP Index IFD
+// https://exiftool.org/TagNames/MPF.html
+createDictionary(tagKeys, 'mpf', [
+	[0xB000, 'MPFVersion'],
+	[0xB001, 'NumberOfImages'],
+	[0xB002, 'MPImageList'],
+	[0xB003, 'ImageUIDList'],
+	[0xB004, 'TotalFrames'],
+])
\ No newline at end of file
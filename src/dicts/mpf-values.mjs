@@ -0,0 +1,28 @@
+import {tagValues, createDictionary} from '../tags.mjs'
+
+
+// MP Entry is array of structures. Each property of the entry has its own dictionary.
+// https://exiftool.org/TagNames/MPF.html#MPImage
+createDictionary(tagValues, 'mpf', [
+
+	[0xB002, {
+		MPImageType: {
+			0x000000: 'Undefined',
+			0x010001: 'Large Thumbnail (VGA Equivalent)',
+			0x010002: 'Large Thumbnail (Full HD Equivalent)',
+			0x010003: 'Large Thumbnail (4K Equivalent)',
+			0x010004: 'Large Thumbnail (8K Equivalent)',
+			0x010005: 'Large Thumbnail (16K Equivalent)',
+			0x020001: 'Multi-Frame Image (Panorama)',
+			0x020002: 'Multi-Frame Image (Disparity)',
+			0x020003: 'Multi-Frame Image (Multi-Angle)',
+			0x030000: 'Baseline MP Primary Image',
+			0x040000: 'Original Preservation Image',
+			0x050000: 'Gain Map Image',
+		},
+		MPImageFormat: {
+			0: 'JPEG',
+		},
+	}],
+
+])
\ No newline at end of file
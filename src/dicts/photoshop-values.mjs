@@ -0,0 +1,30 @@
+import {tagValues, createDictionary} from '../tags.mjs'
+
+
+// Photoshop Image Resources
+// https://exiftool.org/TagNames/Photoshop.html
+createDictionary(tagValues, 'photoshop', [
+
+	['DisplayedUnitsX', {
+		1: 'inches',
+		2: 'cm',
+	}],
+
+	['DisplayedUnitsY', {
+		1: 'inches',
+		2: 'cm',
+	}],
+
+	['PhotoshopFormat', {
+		0x0000: 'Standard',
+		0x0001: 'Optimised',
+		0x0101: 'Progressive',
+	}],
+
+	['ProgressiveScans', {
+		1: '3 Scans',
+		2: '4 Scans',
+		3: '5 Scans',
+	}],
+
+])
\ No newline at end of file
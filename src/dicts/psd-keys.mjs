@@ -0,0 +1,14 @@
+import {tagKeys, createDictionary} from '../tags.mjs'
+
+
+// PSD File Header
+// the number is not a tag code but an offset in the file header (which starts with '8BPS' signature)
+// https://exiftool.org/TagNames/Photoshop.html#Header
+createDictionary(tagKeys, 'psd', [
+	[4,  'Version'],
+	[12, 'NumChannels'],
+	[14, 'ImageHeight'],
+	[18, 'ImageWidth'],
+	[22, 'BitDepth'],
+	[24, 'ColorMode'],
+])
\ No newline at end of file
@@ -0,0 +1,24 @@
+import {tagValues, createDictionary} from '../tags.mjs'
+
+
+// PSD File Header
+// https://exiftool.org/TagNames/Photoshop.html#Header
+createDictionary(tagValues, 'psd', [
+
+	[4, {
+		1: 'PSD',
+		2: 'PSB',
+	}],
+
+	[24, {
+		0: 'Bitmap',
+		1: 'Grayscale',
+		2: 'Indexed',
+		3: 'RGB',
+		4: 'CMYK',
+		7: 'Multichannel',
+		8: 'Duotone',
+		9: 'Lab',
+	}],
+
+])
\ No newline at end of file
@@ -0,0 +1,38 @@
+import {tagKeys, createDictionary} from '../tags.mjs'
+
+
+// QuickTime / MP4 metadata
+// mvhd (movie header), udta text boxes (©xyz, ...), iTunes-style ilst boxes and keys of QuickTime meta box (com.apple.quicktime.*)
+// https://exiftool.org/TagNames/QuickTime.html
+createDictionary(tagKeys, 'quicktime', [
+	// mvhd
+	[1, 'CreateDate'],
+	[2, 'ModifyDate'],
+	[4, 'Duration'],
+	// udta and ilst
+	['©xyz', 'GPSCoordinates'],
+	['©mak', 'Make'],
+	['©mod', 'Model'],
+	['©swr', 'Software'],
+	['©too', 'Encoder'],
+	['©day', 'ContentCreateDate'],
+	['©nam', 'Title'],
+	['©cmt', 'Comment'],
+	['©des', 'Description'],
+	['©ART', 'Artist'],
+	['©cpy', 'Copyright'],
+	['com.apple.quicktime.location.ISO6709', 'GPSCoordinates'],
+	['com.apple.quicktime.location.accuracy.horizontal', 'LocationAccuracyHorizontal'],
+	['com.apple.quicktime.make', 'Make'],
+	['com.apple.quicktime.model', 'Model'],
+	['com.apple.quicktime.software', 'Software'],
+	['com.apple.quicktime.creationdate', 'CreationDate'],
+	['com.apple.quicktime.content.identifier', 'ContentIdentifier'],
+	['com.apple.quicktime.title', 'Title'],
+	['com.apple.quicktime.description', 'Description'],
+	['com.apple.quicktime.author', 'Author'],
+	['com.apple.quicktime.comment', 'Comment'],
+	['com.apple.quicktime.keywords', 'Keywords'],
+	['com.android.version', 'AndroidVersion'],
+	['com.android.capture.fps', 'AndroidCaptureFPS'],
+])
\ No newline at end of file
@@ -0,0 +1,14 @@
+import {tagRevivers, createDictionary} from '../tags.mjs'
+
+
+// Seconds between 1904-01-01 (QuickTime epoch) and 1970-01-01 (Unix epoch)
+const QUICKTIME_EPOCH_OFFSET = 2082844800
+
+createDictionary(tagRevivers, 'quicktime', [
+	[1, reviveQuickTimeDate], // CreateDate
+	[2, reviveQuickTimeDate], // ModifyDate
+])
+
+function reviveQuickTimeDate(seconds) {
+	return new Date((seconds - QUICKTIME_EPOCH_OFFSET) * 1000)
+}
\ No newline at end of file
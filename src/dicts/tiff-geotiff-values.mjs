@@ -0,0 +1,23 @@
+import {tagValues, createDictionary} from '../tags.mjs'
+
+
+// Only the GeoTIFF specific enumerations are translated.
+// Other GeoKeys (ProjectedCSTypeGeoKey, GeographicTypeGeoKey, units, etc...) are left as EPSG codes.
+createDictionary(tagValues, 'geotiff', [
+
+	// GTModelTypeGeoKey
+	[1024, {
+		1: 'Projected',
+		2: 'Geographic',
+		3: 'Geocentric',
+		32767: 'User Defined',
+	}],
+
+	// GTRasterTypeGeoKey
+	[1025, {
+		1: 'PixelIsArea',
+		2: 'PixelIsPoint',
+		32767: 'User Defined',
+	}],
+
+])
\ No newline at end of file
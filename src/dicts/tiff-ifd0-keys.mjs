@@ -7,7 +7,7 @@ import {tagKeys, createDictionary} from '../tags.mjs'
 // https://metacpan.org/pod/distribution/Image-ExifTool/lib/Image/ExifTool/TagNames.pod#EXIF-Tags
 // https://metacpan.org/pod/Image::MetaData::JPEG::TagLists - canonical + custom tags
 
-createDictionary(tagKeys, ['ifd0', 'ifd1'], [
+createDictionary(tagKeys, ['ifd0', 'ifd1', 'subIfds'], [
 	// most of these plus more https://metacpan.org/pod/Image::MetaData::JPEG::TagLists#Canonical-Exif-2.2-and-TIFF-6.0-tags-for-IFD0-and-IFD1
 	[0x0100, 'ImageWidth'],
 	[0x0101, 'ImageHeight'],
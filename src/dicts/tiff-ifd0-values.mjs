@@ -1,7 +1,7 @@
 import {tagValues, createDictionary} from '../tags.mjs'
 
 
-createDictionary(tagValues, ['ifd0', 'ifd1'], [
+createDictionary(tagValues, ['ifd0', 'ifd1', 'subIfds'], [
 
 	// Orientation
 	[0x0112, {
@@ -3,7 +3,7 @@ import {toAsciiString} from '../util/BufferView.mjs'
 import {normalizeString} from '../util/helpers.mjs'
 
 
-createDictionary(tagRevivers, ['ifd0', 'ifd1'], [
+createDictionary(tagRevivers, ['ifd0', 'ifd1', 'subIfds'], [
 	[0xC68B, toAsciiString],
 	[0x0132, reviveDate],
 
@@ -0,0 +1,12 @@
+import {tagKeys, createDictionary} from '../tags.mjs'
+
+
+// WebP image info (VP8X, VP8 or VP8L chunk)
+// the number is neither a tag code nor an offset, just an id assigned by the WebP segment parser
+createDictionary(tagKeys, 'webp', [
+	[0, 'ImageWidth'],
+	[1, 'ImageHeight'],
+	[2, 'Alpha'],
+	[3, 'Animation'],
+	[4, 'Compression'],
+])
\ No newline at end of file
@@ -0,0 +1,10 @@
+import {tagValues, createDictionary} from '../tags.mjs'
+
+
+// Compression is determined by FourCC of the bitstream chunk
+createDictionary(tagValues, 'webp', [
+	[4, {
+		'VP8 ': 'Lossy',
+		'VP8L': 'Lossless',
+	}],
+])
\ No newline at end of file
@@ -0,0 +1,101 @@
+import {fileParsers} from '../plugins.mjs'
+import {IsoBmffParser, getUuid, UUID_LENGTH} from './heif.mjs'
+import {TiffExif} from '../segment-parsers/tiff-exif.mjs'
+import {TIFF_LITTLE_ENDIAN} from '../util/helpers.mjs'
+
+
+// https://github.com/lclevy/canon_cr3
+
+// Canon's uuid box inside moov. Contains CMT1-4 boxes with TIFF structures.
+const CANON_UUID = '85c0b687820f11e08111f4ce462b6a48'
+
+export class Cr3FileParser extends IsoBmffParser {
+
+	static type = 'cr3'
+
+	static canHandle(file, firstTwoBytes) {
+		return firstTwoBytes === 0
+			&& file.getString(4, 4) === 'ftyp'
+			&& file.getString(8, 4) === 'crx '
+	}
+
+	async parse() {
+		if (!this.options.tiff.enabled) return
+		let boxes = await this.parseBoxHeads(0)
+		let moov = boxes.find(box => box.kind === 'moov')
+		if (moov === undefined) return
+		let uuid = await this.findCanonUuid(moov)
+		if (uuid === undefined) return
+		await this.file.ensureChunk(uuid.offset, uuid.length)
+		let cmt = this.parseBoxes(uuid.start + UUID_LENGTH, uuid.offset + uuid.length)
+		let chunks = {}
+		for (let box of cmt)
+			chunks[box.kind] = this.file.subarray(box.start, box.offset + box.length - box.start)
+		if (chunks.CMT1 === undefined) return
+		let parser = new Cr3Tiff(chunks.CMT1, this.options, this.file)
+		parser.blockChunks = {
+			exif:    chunks.CMT2,
+			interop: chunks.CMT2,
+			gps:     chunks.CMT4,
+		}
+		parser.makerNoteChunk = chunks.CMT3
+		this.parsers.tiff = parser
+	}
+
+	async findCanonUuid(moov) {
+		let boxes = await this.parseBoxHeads(moov.start, moov.offset + moov.length)
+		for (let box of boxes) {
+			if (box.kind !== 'uuid') continue
+			await this.file.ensureChunk(box.start, UUID_LENGTH)
+			if (getUuid(this.file, box.start) === CANON_UUID) return box
+		}
+	}
+
+}
+
+// CR3 doesn't store the EXIF as one TIFF structure with IFD pointers like JPEG does.
+// Instead each block is a standalone TIFF (with its own header and byte order) in separate box:
+// CMT1 (IFD0), CMT2 (EXIF), CMT3 (MakerNote) and CMT4 (GPS).
+// This parser starts with CMT1 and swaps the chunk when parsing the other blocks.
+// The output is then exactly the same as from TiffExif of JPEG or TIFF file.
+export class Cr3Tiff extends TiffExif {
+
+	blockChunks = {}
+
+	async parseIfd0Block() {
+		if (this.ifd0) return
+		await super.parseIfd0Block()
+		// The pointers in CMT1 (if any) do not point to CMT2 and CMT4. Blocks start at IFD0 of their own TIFF.
+		let {exif, gps} = this.blockChunks
+		this.exifOffset = exif ? getIfd0Offset(exif) : undefined
+		this.gpsOffset  = gps  ? getIfd0Offset(gps)  : undefined
+	}
+
+	async parseExifBlock() {
+		if (this.exif) return
+		let exif = await super.parseExifBlock()
+		if (this.options.makerNote && this.makerNoteChunk)
+			this.makerNote = this.makerNoteChunk.getUint8Array(0, this.makerNoteChunk.byteLength)
+		return exif
+	}
+
+	async parseBlock(offset, blockKey) {
+		let chunk = this.blockChunks[blockKey]
+		if (chunk === undefined) return super.parseBlock(offset, blockKey)
+		let tiffChunk = this.chunk
+		this.chunk = chunk
+		try {
+			return await super.parseBlock(offset, blockKey)
+		} finally {
+			this.chunk = tiffChunk
+		}
+	}
+
+}
+
+function getIfd0Offset(chunk) {
+	chunk.le = chunk.getUint16(0) === TIFF_LITTLE_ENDIAN
+	return chunk.getUint32(4)
+}
+
+fileParsers.set('cr3', Cr3FileParser)
\ No newline at end of file
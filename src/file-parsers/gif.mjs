@@ -0,0 +1,155 @@
+import {FileParserBase} from '../parser.mjs'
+import {fileParsers} from '../plugins.mjs'
+
+
+// https://www.w3.org/Graphics/GIF/spec-gif89a.txt
+
+// 'GIF87a' or 'GIF89a' signature + Logical Screen Descriptor (7 bytes)
+const HEADER_LENGTH = 13
+const GLOBAL_COLOR_TABLE_FLAG = 0x80
+
+// Block introducers
+const EXTENSION        = 0x21
+const IMAGE_DESCRIPTOR = 0x2C
+const TRAILER          = 0x3B
+
+// Extension labels
+const COMMENT     = 0xFE
+const APPLICATION = 0xFF
+
+// Image descriptor: introducer (1B), left, top, width, height (2B each) and packed fields (1B)
+const IMAGE_DESCRIPTOR_LENGTH = 10
+const LOCAL_COLOR_TABLE_FLAG = 0x80
+
+// Application extension header: block size (1B, always 11) + 8 bytes identifier + 3 bytes authentication code
+const APPLICATION_HEADER_LENGTH = 12
+const XMP_APPLICATION = 'XMP DataXMP'
+const loopApplications = ['NETSCAPE2.0', 'ANIMEXTS1.0']
+
+// XMP is not split into sub-blocks. It's stored as is and followed by 'magic trailer'
+// (0x01, 0xFF, 0xFE, ... 0x01, 0x00 and block terminator 0x00) which makes GIF readers
+// treat the whole packet as sub-blocks and always land on the terminator.
+const XMP_MAGIC_TRAILER_LENGTH = 258
+
+const GIF = 'gif'
+
+export class GifFileParser extends FileParserBase {
+
+	static type = 'gif'
+
+	static canHandle(file, firstTwoBytes) {
+		if (firstTwoBytes !== 0x4749) return false // 'GI'
+		let signature = file.getString(0, 6)
+		return signature === 'GIF87a' || signature === 'GIF89a'
+	}
+
+	async parse() {
+		await this.ensureAvailable(0, HEADER_LENGTH)
+		// gif option is undefined by default (because we don't want jpegs and heic files to pick it up)
+		// so here we create it for every gif file. But only if user didn't explicitly disabled it.
+		if (this.options[GIF].enabled !== false)
+			this.createParser(GIF, this.file.subarray(0, HEADER_LENGTH))
+		this.frameCount = 0
+		this.comments = []
+		await this.parseBlocks()
+		this.injectKeyValToGif('FrameCount', this.frameCount)
+		if (this.loopCount !== undefined)
+			this.injectKeyValToGif('LoopCount', this.loopCount)
+		if (this.comments.length > 0)
+			this.injectKeyValToGif('Comment', this.comments.join('\n'))
+	}
+
+	// Blocks have to be walked one after another, there's no index or length of the image data.
+	async parseBlocks() {
+		let {file} = this
+		let offset = HEADER_LENGTH
+		let packed = file.getUint8(10)
+		if (packed & GLOBAL_COLOR_TABLE_FLAG) offset += getColorTableSize(packed)
+		while (await this.ensureAvailable(offset, 2)) {
+			let introducer = file.getUint8(offset)
+			if (introducer === IMAGE_DESCRIPTOR)
+				offset = await this.parseImage(offset)
+			else if (introducer === EXTENSION)
+				offset = await this.parseExtension(offset)
+			else
+				break // TRAILER or corrupted file
+			if (offset === undefined) break
+		}
+	}
+
+	async parseImage(offset) {
+		if (!await this.ensureAvailable(offset, IMAGE_DESCRIPTOR_LENGTH + 1)) return
+		let packed = this.file.getUint8(offset + 9)
+		offset += IMAGE_DESCRIPTOR_LENGTH
+		if (packed & LOCAL_COLOR_TABLE_FLAG) offset += getColorTableSize(packed)
+		// LZW minimum code size (1B) precedes the image data sub-blocks
+		let {end} = await this.readSubBlocks(offset + 1)
+		if (end !== undefined) this.frameCount++
+		return end
+	}
+
+	async parseExtension(offset) {
+		let label = this.file.getUint8(offset + 1)
+		offset += 2
+		if (label === APPLICATION)
+			return this.parseApplication(offset)
+		let {end, blocks} = await this.readSubBlocks(offset)
+		if (label === COMMENT && end !== undefined)
+			this.comments.push(blocks.map(([start, length]) => this.file.getString(start, length)).join(''))
+		return end
+	}
+
+	async parseApplication(offset) {
+		let {file} = this
+		if (!await this.ensureAvailable(offset, APPLICATION_HEADER_LENGTH)) return
+		let identifier = file.getString(offset + 1, 11)
+		let start = offset + APPLICATION_HEADER_LENGTH
+		let {end, blocks} = await this.readSubBlocks(start)
+		if (end === undefined) return
+		if (identifier === XMP_APPLICATION && this.options.xmp.enabled) {
+			let length = end - start - XMP_MAGIC_TRAILER_LENGTH
+			if (length > 0) this.createParser('xmp', file.subarray(start, length))
+		} else if (loopApplications.includes(identifier) && blocks.length > 0) {
+			// sub-block id (1B, always 1) followed by loop count (0 means infinite)
+			let [blockStart, blockLength] = blocks[0]
+			if (blockLength >= 3 && file.getUint8(blockStart) === 1)
+				this.loopCount = file.getUint16(blockStart + 1, true)
+		}
+		return end
+	}
+
+	// Data of extensions and images is split into sub-blocks of up to 255 bytes, each prefixed with its size.
+	// Zero size block terminates the sequence. Returns offset right after the terminator.
+	async readSubBlocks(offset) {
+		let blocks = []
+		while (await this.ensureAvailable(offset, 1)) {
+			let size = this.file.getUint8(offset)
+			if (size === 0) return {end: offset + 1, blocks}
+			if (!await this.ensureAvailable(offset, size + 1)) break
+			blocks.push([offset + 1, size])
+			offset += size + 1
+		}
+		return {blocks}
+	}
+
+	// Image data consists of lots of tiny sub-blocks so we read ahead (by chunkSize) instead of reading them one by one.
+	async ensureAvailable(offset, length) {
+		let {file} = this
+		if (!this.isAvailable(offset, length) && file.canReadNextChunk)
+			await file.ensureChunk(offset, Math.max(length, this.options.chunkSize))
+		return this.isAvailable(offset, length)
+	}
+
+	injectKeyValToGif(key, val) {
+		let parser = this.parsers[GIF]
+		if (parser) parser.raw.set(key, val)
+	}
+
+}
+
+// Color table has 2^(N+1) RGB entries where N are the lowest 3 bits of the packed fields.
+function getColorTableSize(packed) {
+	return 3 * (1 << ((packed & 0x07) + 1))
+}
+
+fileParsers.set('gif', GifFileParser)
\ No newline at end of file
@@ -3,6 +3,7 @@ import {FileParserBase} from '../parser.mjs'
 // Only HEIC uses BufferView.getUint64
 import '../util/BufferView-get64.mjs'
 import {BufferView} from '../util/BufferView.mjs'
+import {concatUint8Arrays} from '../util/helpers.mjs'
 
 
 // 4 length + 4 kind + 8 (not always) for additional 64b length field
@@ -10,11 +11,33 @@ const boxHeaderLength = 16
 
 // boxes with full head: meta, iinf, iref
 
+// iloc construction_method: item data is either in the file (usually in mdat) or in the idat box.
+const ILOC_FILE = 0
+const ILOC_IDAT = 1
+
+// uuid boxes (of JP2, CR3, MP4/MOV) start with 16 byte id of their content.
+export const UUID_LENGTH = 16
+export const XMP_UUID = 'be7acfcb97a942e89c71999491e3afac'
+
+export function getUuid(file, offset) {
+	return Array.from(file.getUint8Array(offset, UUID_LENGTH))
+		.map(byte => byte.toString(16).padStart(2, '0'))
+		.join('')
+}
+
+// Length of box's content (without the box header).
+export function getContentLength(box) {
+	return box.offset + box.length - box.start
+}
+
+const HEIF = 'heif'
+const XMP_CONTENT_TYPE = 'application/rdf+xml'
+
 export class IsoBmffParser extends FileParserBase {
 
-	parseBoxes(offset = 0) {
+	parseBoxes(offset = 0, end = this.file.byteLength) {
 		let boxes = []
-		while (offset < this.file.byteLength - 4) {
+		while (offset < end - 4) {
 			let box = this.parseBoxHead(offset)
 			boxes.push(box)
 			if (box.length === 0) break
@@ -24,7 +47,22 @@ export class IsoBmffParser extends FileParserBase {
 	}
 
 	parseSubBoxes(box) {
-		box.boxes = this.parseBoxes(box.start)
+		box.boxes = this.parseBoxes(box.start, box.offset + box.length)
+	}
+
+	// Walks the boxes one after another, but only reads (in chunked mode) their heads.
+	// That way we can jump over large boxes with image data and never read them.
+	async parseBoxHeads(offset = 0, end = Infinity) {
+		let boxes = []
+		while (offset < end) {
+			await this.file.ensureChunk(offset, boxHeaderLength)
+			if (!this.isAvailable(offset, 8)) break
+			let box = this.parseBoxHead(offset)
+			boxes.push(box)
+			if (box.length === 0) break
+			offset += box.length
+		}
+		return boxes
 	}
 
 	findBox(box, kind) {
@@ -32,6 +70,11 @@ export class IsoBmffParser extends FileParserBase {
 		return box.boxes.find(box => box.kind === kind)
 	}
 
+	findBoxes(box, kind) {
+		if (box.boxes === undefined) this.parseSubBoxes(box)
+		return box.boxes.filter(box => box.kind === kind)
+	}
+
 	parseBoxHead(offset) {
 		let length = this.file.getUint32(offset)
 		let kind   = this.file.getString(offset + 4, 4)
@@ -50,9 +93,16 @@ export class IsoBmffParser extends FileParserBase {
 		if (box.version !== undefined) return
 		let vflags = this.file.getUint32(box.start)
 		box.version = vflags >> 24
+		box.flags = vflags & 0xFFFFFF
 		box.start += 4
 	}
 
+	async registerSegment(key, offset, length) {
+		await this.file.ensureChunk(offset, length)
+		let chunk = this.file.subarray(offset, length)
+		this.createParser(key, chunk)
+	}
+
 }
 
 export class HeifFileParser extends IsoBmffParser {
@@ -75,6 +125,15 @@ export class HeifFileParser extends IsoBmffParser {
 	}
 
 	async parse() {
+		let meta = await this.findMeta()
+		await this.findProperties(meta)
+		if (this.options.icc.enabled)  await this.findIcc(meta)
+		if (this.options.tiff.enabled) await this.findExif(meta)
+		if (this.options.xmp.enabled)  await this.findXmp(meta)
+	}
+
+	async findMeta() {
+		if (this.meta) return this.meta
 		let nextBoxOffset = this.file.getUint32(0)
 		let meta = this.parseBoxHead(nextBoxOffset)
 		while (meta.kind !== 'meta') {
@@ -85,36 +144,103 @@ export class HeifFileParser extends IsoBmffParser {
 		await this.file.ensureChunk(meta.offset, meta.length)
 		this.parseBoxFullHead(meta)
 		this.parseSubBoxes(meta)
-		//await this.findThumb(meta)
-		if (this.options.icc.enabled)  await this.findIcc(meta)
-		if (this.options.tiff.enabled) await this.findExif(meta)
+		return this.meta = meta
 	}
 
-	async registerSegment(key, offset, length) {
-		await this.file.ensureChunk(offset, length)
-		let chunk = this.file.subarray(offset, length)
-		this.createParser(key, chunk)
+	// Thumbnail is a separate (HEVC or AV1 coded) image item linked to the primary image by 'thmb' reference.
+	// The coded data alone can't be displayed, so it's wrapped into minimal single-image HEIF/AVIF file
+	// along with the item's properties (decoder config, dimensions, color, rotation).
+	async extractThumbnail() {
+		let meta = await this.findMeta()
+		let thumbId = this.findThumbIdInIref(meta)
+		if (thumbId === undefined) return
+		let iinf = this.findBox(meta, 'iinf')
+		if (iinf === undefined) return
+		let item = this.parseItemInfos(iinf).find(item => item.id === thumbId)
+		if (item === undefined) return
+		let chunk = await this.readItem(meta, thumbId)
+		if (chunk === undefined) return
+		let data = chunk.getUint8Array(0, chunk.byteLength)
+		let properties = this.findItemProperties(meta, thumbId)
+			.map(({box, essential}) => ({essential, data: this.file.getUint8Array(box.offset, box.length)}))
+		return createSingleImageHeif(this.constructor.type, item.type, properties, data)
+	}
+
+	async findProperties(meta) {
+		if (!this.options[HEIF].enabled) return
+		let primaryId = this.findPrimaryIdInPitm(meta)
+		if (primaryId === undefined) return
+		let properties = this.findItemProperties(meta, primaryId)
+		if (properties.length === 0) return
+		let boxes = properties.map(({box}) => this.file.getUint8Array(box.offset, box.length))
+		this.createParser(HEIF, new BufferView(concatUint8Arrays(boxes)))
+	}
+
+	findPrimaryIdInPitm(meta) {
+		let pitm = this.findBox(meta, 'pitm')
+		if (pitm === undefined) return
+		this.parseBoxFullHead(pitm)
+		return this.file.getUintBytes(pitm.start, pitm.version === 0 ? 2 : 4)
 	}
-/*
-	async findThumb(meta) {
+
+	// iref contains boxes of reference type (thmb, cdsc, dimg, auxl) with: from_item_ID, reference_count, to_item_IDs.
+	// Prefers thumbnail of the primary item. Files with more images can have thumbnails for each of them.
+	findThumbIdInIref(meta) {
 		let iref = this.findBox(meta, 'iref')
 		if (iref === undefined) return
 		this.parseBoxFullHead(iref)
-		let thmb = this.findBox(iref, 'thmb')
-		if (thmb === undefined) return
-		let thumbLocId = this.file.getUint16(thmb.offset + 8)
-		let iloc = this.findBox(meta, 'iloc')
-		if (iloc === undefined) return
-		let extent = this.findExtentInIloc(iloc, thumbLocId)
-		if (extent === undefined) return
-		let [thumbOffset, thumbLength] = extent
-		console.log('thumbOffset', thumbOffset)
-		console.log('thumbLength', thumbLength)
-		await this.file.ensureChunk(thumbOffset, thumbLength)
-		let chunk = this.file.subarray(thumbOffset, thumbLength)
-		return chunk.toUint8()
-	}
-*/
+		let idSize = iref.version === 0 ? 2 : 4
+		let primaryId = this.findPrimaryIdInPitm(meta)
+		let thumbId
+		for (let box of this.findBoxes(iref, 'thmb')) {
+			let offset = box.start
+			let fromId = this.file.getUintBytes(offset, idSize)
+			let count = this.file.getUint16(offset + idSize)
+			offset += idSize + 2
+			let toIds = []
+			while (count--) {
+				toIds.push(this.file.getUintBytes(offset, idSize))
+				offset += idSize
+			}
+			if (toIds.includes(primaryId)) return fromId
+			if (thumbId === undefined) thumbId = fromId
+		}
+		return thumbId
+	}
+
+	// ipma associates items with properties stored in ipco. Indexes to ipco start at 1.
+	findItemProperties(meta, wantedItemId) {
+		let iprp = this.findBox(meta, 'iprp')
+		if (iprp === undefined) return []
+		let ipco = this.findBox(iprp, 'ipco')
+		let ipma = this.findBox(iprp, 'ipma')
+		if (ipco === undefined || ipma === undefined) return []
+		if (ipco.boxes === undefined) this.parseSubBoxes(ipco)
+		this.parseBoxFullHead(ipma)
+		let itemIdSize = ipma.version < 1 ? 2 : 4
+		let indexSize  = ipma.flags & 1 ? 2 : 1
+		let offset = ipma.start
+		let entryCount = this.file.getUint32(offset)
+		offset += 4
+		while (entryCount--) {
+			let itemId = this.file.getUintBytes(offset, itemIdSize)
+			let count = this.file.getUint8(offset + itemIdSize)
+			offset += itemIdSize + 1
+			if (itemId === wantedItemId) {
+				let properties = []
+				while (count--) {
+					let value = this.file.getUintBytes(offset, indexSize)
+					let highBit = indexSize === 2 ? 0x8000 : 0x80
+					let box = ipco.boxes[(value & (highBit - 1)) - 1]
+					if (box) properties.push({box, essential: (value & highBit) !== 0})
+					offset += indexSize
+				}
+				return properties
+			}
+			offset += count * indexSize
+		}
+		return []
+	}
 	async findIcc(meta) {
 		let iprp = this.findBox(meta, 'iprp')
 		if (iprp === undefined) return
@@ -128,39 +254,68 @@ export class HeifFileParser extends IsoBmffParser {
 	async findExif(meta) {
 		let iinf = this.findBox(meta, 'iinf')
 		if (iinf === undefined) return
-		let iloc = this.findBox(meta, 'iloc')
-		if (iloc === undefined) return
 		let exifLocId = this.findExifLocIdInIinf(iinf)
-		let extent = this.findExtentInIloc(iloc, exifLocId)
-		if (extent === undefined) return
-		let [exifOffset, exifLength] = extent
-		await this.file.ensureChunk(exifOffset, exifLength)
-		let nameSize = this.file.getUint32(exifOffset)
-		//let name = this.file.getString(exifOffset + 4, nameSize)
-		let extentContentShift = 4 + nameSize
-		exifOffset += extentContentShift
-		exifLength -= extentContentShift
-		await this.registerSegment('tiff', exifOffset, exifLength)
+		if (exifLocId === undefined) return
+		let chunk = await this.readItem(meta, exifLocId)
+		if (chunk === undefined) return
+		// Exif item starts with 4 byte offset to TIFF header (usually 6 to skip 'Exif\0\0')
+		let tiffOffset = 4 + chunk.getUint32(0)
+		this.createParser('tiff', chunk.subarray(tiffOffset, chunk.byteLength - tiffOffset))
+	}
+
+	// XMP is stored as 'mime' item with content type application/rdf+xml.
+	async findXmp(meta) {
+		let iinf = this.findBox(meta, 'iinf')
+		if (iinf === undefined) return
+		let item = this.parseItemInfos(iinf).find(item => item.type === 'mime' && item.contentType === XMP_CONTENT_TYPE)
+		if (item === undefined) return
+		let chunk = await this.readItem(meta, item.id)
+		if (chunk !== undefined) this.createParser('xmp', chunk)
 	}
 
 	findExifLocIdInIinf(box) {
+		let item = this.parseItemInfos(box).find(item => item.type === 'Exif')
+		if (item) return item.id
+	}
+
+	// Returns id and type (4 char code like hvc1, av01, grid, Exif, mime) of each item in iinf box.
+	// mime items also have content type (mime type of the data).
+	parseItemInfos(box) {
+		if (box.items) return box.items
 		this.parseBoxFullHead(box)
 		let offset = box.start
-		let count = this.file.getUint16(offset)
-		let infe, infeOffset, idSize, name
-		offset += 2
+		let countSize = box.version === 0 ? 2 : 4
+		let count = this.file.getUintBytes(offset, countSize)
+		let items = []
+		let infe, infeOffset, idSize
+		offset += countSize
 		while (count--) {
 			infe = this.parseBoxHead(offset)
 			this.parseBoxFullHead(infe)
 			infeOffset = infe.start
 			if (infe.version >= 2) {
 				idSize = infe.version === 3 ? 4 : 2
-				name = this.file.getString(infeOffset + idSize + 2, 4)
-				if (name === 'Exif')
-					return this.file.getUintBytes(infeOffset, idSize)
+				let item = {
+					id:   this.file.getUintBytes(infeOffset, idSize),
+					type: this.file.getString(infeOffset + idSize + 2, 4),
+				}
+				if (item.type === 'mime') {
+					// item_name and content_type are null terminated strings
+					let end = infe.offset + infe.length
+					let nameOffset = infeOffset + idSize + 6
+					let typeOffset = this.findNullTerminator(nameOffset, end) + 1
+					item.contentType = this.file.getString(typeOffset, this.findNullTerminator(typeOffset, end) - typeOffset)
+				}
+				items.push(item)
 			}
 			offset += infe.length
 		}
+		return box.items = items
+	}
+
+	findNullTerminator(offset, end) {
+		while (offset < end && this.file.getUint8(offset) !== 0) offset++
+		return offset
 	}
 
 	get8bits(offset) {
@@ -170,39 +325,75 @@ export class HeifFileParser extends IsoBmffParser {
 		return [n0, n1]
 	}
 
-	findExtentInIloc(box, wantedLocId) {
+	// Location of item's data. Data can be split into multiple extents that need to be concatenated.
+	// Extent offsets are relative to base_offset, which is either offset in the file (construction_method 0)
+	// or offset in the idat box (construction_method 1). Method 2 (data of other items) isn't supported.
+	findItemLocationInIloc(box, wantedItemId) {
 		this.parseBoxFullHead(box)
 		let offset = box.start
 		let [offsetSize, lengthSize]    = this.get8bits(offset++)
 		let [baseOffsetSize, indexSize] = this.get8bits(offset++)
 		let itemIdSize = box.version === 2 ? 4 : 2
 		let constMethodSize = box.version === 1 || box.version === 2 ? 2 : 0
+		// extent_index is only present in version 1 and 2
+		if (box.version === 0) indexSize = 0
 		let extentSize = indexSize + offsetSize + lengthSize
 		let itemCountSize = box.version === 2 ? 4 : 2
 		let itemCount = this.file.getUintBytes(offset, itemCountSize)
 		offset += itemCountSize
 		while (itemCount--) {
 			let itemId = this.file.getUintBytes(offset, itemIdSize)
-			offset += itemIdSize + constMethodSize + 2 + baseOffsetSize // itemId + construction_method + data_reference_index + base_offset
+			offset += itemIdSize
+			let constructionMethod = constMethodSize ? this.file.getUint16(offset) & 0x0F : 0
+			offset += constMethodSize + 2 // construction_method + data_reference_index
+			let baseOffset = this.getUintOrZero(offset, baseOffsetSize)
+			offset += baseOffsetSize
 			let extentCount = this.file.getUint16(offset)
 			offset += 2
-			if (itemId === wantedLocId) {
-				if (extentCount > 1) {
-					console.warn(`ILOC box has more than one extent but we're only processing one\nPlease create an issue at https://github.com/MikeKovarik/exifr with this file`)
-					// iloc contains items array, each of which contains extents.
-					// theres usually only one extent in each item but if there's more
+			if (itemId === wantedItemId) {
+				let extents = []
+				while (extentCount--) {
+					offset += indexSize
+					let extentOffset = this.getUintOrZero(offset, offsetSize)
+					let extentLength = this.getUintOrZero(offset + offsetSize, lengthSize)
+					extents.push([baseOffset + extentOffset, extentLength])
+					offset += offsetSize + lengthSize
 				}
-				return [
-					// extent offset
-					this.file.getUintBytes(offset + indexSize, offsetSize),
-					// extent length
-					this.file.getUintBytes(offset + indexSize + offsetSize, lengthSize),
-				]
+				return {constructionMethod, extents}
 			}
 			offset += extentCount * extentSize
 		}
 	}
 
+	getUintOrZero(offset, size) {
+		return size === 0 ? 0 : this.file.getUintBytes(offset, size)
+	}
+
+	// Returns BufferView with item's data. Single extent in the file is returned as subarray of the file,
+	// data from more extents is copied into new buffer.
+	async readItem(meta, itemId) {
+		let iloc = this.findBox(meta, 'iloc')
+		if (iloc === undefined) return
+		let location = this.findItemLocationInIloc(iloc, itemId)
+		if (location === undefined) return
+		let {constructionMethod, extents} = location
+		if (constructionMethod === ILOC_IDAT) {
+			let idat = this.findBox(meta, 'idat')
+			if (idat === undefined) return
+			extents = extents.map(([offset, length]) => [idat.start + offset, length])
+		} else if (constructionMethod !== ILOC_FILE) {
+			return
+		}
+		for (let [offset, length] of extents)
+			await this.file.ensureChunk(offset, length)
+		if (extents.length === 1) {
+			let [offset, length] = extents[0]
+			return this.file.subarray(offset, length)
+		}
+		let arrays = extents.map(([offset, length]) => this.file.getUint8Array(offset, length))
+		return new BufferView(concatUint8Arrays(arrays))
+	}
+
 }
 
 export class HeicFileParser extends HeifFileParser {
@@ -213,5 +404,39 @@ export class AvifFileParser extends HeifFileParser {
 	static type = 'avif'
 }
 
+// Minimal HEIF/AVIF file with single image item (id 1) which is stored in mdat right after meta.
+function createSingleImageHeif(brand, itemType, properties, data) {
+	let ftyp = createBox('ftyp', ascii(brand), u32(0), ascii('mif1'), ascii(brand), ascii('miaf'))
+	let hdlr = createFullBox('hdlr', 0, u32(0), ascii('pict'), u32(0), u32(0), u32(0), u8(0))
+	let pitm = createFullBox('pitm', 0, u16(1))
+	let infe = createFullBox('infe', 2, u16(1), u16(0), ascii(itemType), u8(0))
+	let iinf = createFullBox('iinf', 0, u16(1), infe)
+	let ipco = createBox('ipco', ...properties.map(property => property.data))
+	let associations = properties.map((property, i) => u8((property.essential ? 0x80 : 0) | (i + 1)))
+	let ipma = createFullBox('ipma', 0, u32(1), u16(1), u8(properties.length), ...associations)
+	let iprp = createBox('iprp', ipco, ipma)
+	// iloc with 4 byte offset and length, no base offset and single extent
+	let createIloc = dataOffset => createFullBox('iloc', 0, u8(0x44), u8(0), u16(1), u16(1), u16(0), u16(1), u32(dataOffset), u32(data.length))
+	let createMeta = iloc => createFullBox('meta', 0, hdlr, pitm, iinf, iloc, iprp)
+	let metaLength = createMeta(createIloc(0)).length
+	let meta = createMeta(createIloc(ftyp.length + metaLength + 8))
+	let mdat = createBox('mdat', data)
+	return concatUint8Arrays([ftyp, meta, mdat])
+}
+
+function createBox(kind, ...parts) {
+	let content = concatUint8Arrays(parts)
+	return concatUint8Arrays([u32(content.length + 8), ascii(kind), content])
+}
+
+function createFullBox(kind, version, ...parts) {
+	return createBox(kind, u32(version << 24), ...parts)
+}
+
+const u8  = value => new Uint8Array([value])
+const u16 = value => new Uint8Array([value >> 8, value & 0xFF])
+const u32 = value => new Uint8Array([value >>> 24, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF])
+const ascii = string => new Uint8Array(Array.from(string, char => char.charCodeAt(0)))
+
 fileParsers.set('heic', HeicFileParser)
 fileParsers.set('avif', AvifFileParser)
\ No newline at end of file
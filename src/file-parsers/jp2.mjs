@@ -0,0 +1,105 @@
+import {fileParsers} from '../plugins.mjs'
+import {IsoBmffParser, getUuid, getContentLength, UUID_LENGTH, XMP_UUID} from './heif.mjs'
+
+
+// https://exiftool.org/TagNames/Jpeg2000.html
+// http://fileformats.archiveteam.org/wiki/JPEG_2000
+
+// JP2 signature box: 4 bytes length (always 12) + 'jP  ' + 0D 0A 87 0A
+const SIGNATURE_LENGTH = 12
+const SIGNATURE_KIND   = 0x6a502020 // 'jP  '
+
+// Metadata in JP2 is stored in uuid boxes. Each starts with 16 byte id of its content.
+const uuids = {
+	'4a706754696666457869662d3e4a5032': 'tiff', // 'JpgTiffExif->JP2'
+	[XMP_UUID]: 'xmp',
+	'33c7a4d2b81d4723a0baf1a3e097ad38': 'iptc',
+}
+
+// colr box method (first byte of the box)
+const COLR_ENUMERATED = 1
+const COLR_RESTRICTED_ICC = 2
+const COLR_ANY_ICC = 3
+
+const JP2H = 'jp2h'
+
+export class Jp2FileParser extends IsoBmffParser {
+
+	static type = 'jp2'
+
+	static canHandle(file, firstTwoBytes) {
+		return firstTwoBytes === 0
+			&& file.getUint32(0) === SIGNATURE_LENGTH
+			&& file.getUint32(4) === SIGNATURE_KIND
+	}
+
+	async parse() {
+		// Boxes can be anywhere in the file, even after the codestream (jp2c).
+		let boxes = await this.parseBoxHeads(0)
+		for (let box of boxes) {
+			if (box.kind === 'jp2h') await this.parseHeaderBox(box)
+			if (box.kind === 'uuid') await this.parseUuidBox(box)
+		}
+	}
+
+	// JP2 Header is a superbox containing ihdr (dimensions), colr (color space or ICC) and res (resolution) boxes.
+	async parseHeaderBox(jp2h) {
+		await this.file.ensureChunk(jp2h.offset, jp2h.length)
+		this.parseSubBoxes(jp2h)
+		let ihdr = this.findBox(jp2h, 'ihdr')
+		// jp2h option is undefined by default (because we don't want jpegs and heic files to pick it up)
+		// so here we create it for every jp2 file. But only if user didn't explicitly disabled it.
+		if (ihdr && this.options[JP2H].enabled !== false)
+			this.createParser(JP2H, this.file.subarray(ihdr.start, getContentLength(ihdr)))
+		let colr = this.findBox(jp2h, 'colr')
+		if (colr) this.parseColr(colr)
+		let res = this.findBox(jp2h, 'res ')
+		if (res) this.parseRes(res)
+	}
+
+	parseColr(colr) {
+		let method = this.file.getUint8(colr.start)
+		if (method === COLR_ENUMERATED) {
+			this.injectKeyValToJp2h('ColorSpace', this.file.getUint32(colr.start + 3))
+		} else if (method === COLR_RESTRICTED_ICC || method === COLR_ANY_ICC) {
+			// method (1B), precedence (1B) and approximation (1B) are followed by the ICC profile
+			let offset = colr.start + 3
+			let length = colr.offset + colr.length - offset
+			this.injectSegment('icc', this.file.subarray(offset, length))
+		}
+	}
+
+	parseRes(res) {
+		let resc = this.findBox(res, 'resc')
+		let resd = this.findBox(res, 'resd')
+		if (resc) this.parseResolution(resc, 'Capture')
+		if (resd) this.parseResolution(resd, 'Display')
+	}
+
+	// Resolution is stored as numerator, denominator and exponent (of 10) in grid points per meter.
+	parseResolution(box, prefix) {
+		let {file} = this
+		let offset = box.start
+		let vertical   = file.getUint16(offset)     / file.getUint16(offset + 2) * Math.pow(10, file.getInt8(offset + 8))
+		let horizontal = file.getUint16(offset + 4) / file.getUint16(offset + 6) * Math.pow(10, file.getInt8(offset + 9))
+		this.injectKeyValToJp2h(prefix + 'XResolution', horizontal)
+		this.injectKeyValToJp2h(prefix + 'YResolution', vertical)
+	}
+
+	injectKeyValToJp2h(key, val) {
+		let parser = this.parsers[JP2H]
+		if (parser) parser.raw.set(key, val)
+	}
+
+	async parseUuidBox(box) {
+		await this.file.ensureChunk(box.start, UUID_LENGTH)
+		let type = uuids[getUuid(this.file, box.start)]
+		if (type === undefined || !this.options[type].enabled) return
+		let offset = box.start + UUID_LENGTH
+		let length = box.offset + box.length - offset
+		await this.registerSegment(type, offset, length)
+	}
+
+}
+
+fileParsers.set('jp2', Jp2FileParser)
\ No newline at end of file
@@ -1,5 +1,6 @@
 import {FileParserBase, AppSegmentParserBase} from '../parser.mjs'
 import {fileParsers, segmentParsers} from '../plugins.mjs'
+import {normalizeString} from '../util/helpers.mjs'
 
 
 const JPEG_SOI = 0xffd8
@@ -8,16 +9,28 @@ const MARKER_1         = 0xff
 const MARKER_2_APP0    = 0xe0 // ff e0
 const MARKER_2_APP15   = 0xef // ff ef
 const MARKER_2_SOF0    = 0xc0 // ff c0
-const MARKER_2_SOF2    = 0xc2 // ff c2
+const MARKER_2_SOF15   = 0xcf // ff cf
 const MARKER_2_DHT     = 0xc4 // ff c4
+const MARKER_2_JPG     = 0xc8 // ff c8
+const MARKER_2_DAC     = 0xcc // ff cc
 const MARKER_2_DQT     = 0xdb // ff db
 const MARKER_2_DRI     = 0xdd // ff dd
 const MARKER_2_SOS     = 0xda // ff da
 const MARKER_2_COMMENT = 0xfe // ff fe
 
+const JPEG = 'jpeg'
+
+// SOF0 - SOF15 except for DHT, JPG and DAC markers which lie in the same range.
+function isSofMarker(marker2) {
+	return marker2 >= MARKER_2_SOF0
+		&& marker2 <= MARKER_2_SOF15
+		&& marker2 !== MARKER_2_DHT
+		&& marker2 !== MARKER_2_JPG
+		&& marker2 !== MARKER_2_DAC
+}
+
 function isJpgMarker(marker2) {
-	return marker2 === MARKER_2_SOF0
-		|| marker2 === MARKER_2_SOF2
+	return isSofMarker(marker2)
 		|| marker2 === MARKER_2_DHT
 		|| marker2 === MARKER_2_DQT
 		|| marker2 === MARKER_2_DRI
@@ -30,10 +43,13 @@ function isAppMarker(marker2) {
 		&& marker2 <= MARKER_2_APP15
 }
 
-function getSegmentType(buffer, offset, length) {
+// One APPn segment can be read by multiple parsers. E.g. APP13 contains IPTC, but also other Photoshop resources.
+function getSegmentTypes(buffer, offset, length) {
+	let types = []
 	for (let [type, Parser] of segmentParsers)
 		if (Parser.canHandle(buffer, offset, length))
-			return type
+			types.push(type)
+	return types
 }
 
 
@@ -70,12 +86,36 @@ export class JpegFileParser extends FileParserBase {
 	appSegments = []
 	jpegSegments = []
 	unknownSegments = []
+	// SOF, DQT and COM segments for the jpeg parser
+	frameSegments = []
 
 	async parse() {
 		await this.findAppSegments()
 		await this.readSegments(this.appSegments)
 		this.mergeMultiSegments()
 		this.createParsers(this.mergedAppSegments || this.appSegments)
+		if (this.options[JPEG].enabled) await this.createJpegParser()
+	}
+
+	// SOF, DQT and COM are not APPn segments and can't be found by canHandle() of segment parsers.
+	// Jpeg parser gets the whole SOF segment (including marker which tells the encoding process)
+	// and quantization tables and text of all the comments are injected into it.
+	async createJpegParser() {
+		let {file, frameSegments} = this
+		let sof = frameSegments.find(seg => isSofMarker(seg.marker))
+		if (sof === undefined) return
+		for (let {offset, length} of frameSegments)
+			await file.ensureChunk(offset, length + 2)
+		let parser = this.createParser(JPEG, file.subarray(sof.offset, sof.length + 2))
+		let comments = frameSegments
+			.filter(seg => seg.marker === MARKER_2_COMMENT)
+			.map(seg => normalizeString(file.getString(seg.offset + 4, seg.length - 2)))
+			.filter(comment => comment !== undefined)
+		if (comments.length > 0)
+			parser.raw.set('Comment', comments.join('\n'))
+		let dqtSegments = frameSegments.filter(seg => seg.marker === MARKER_2_DQT)
+		if (dqtSegments.length > 0)
+			parser.raw.set('QuantizationTables', readQuantizationTables(file, dqtSegments))
 	}
 
 	setupSegmentFinderArgs(wanted) {
@@ -137,7 +177,7 @@ export class JpegFileParser extends FileParserBase {
 		// Don't read right till end. If the last byte is marker, then length is out of bounds and crashes.
 		end -= 2
 		let {file, findAll, wanted, remaining, options} = this
-		let marker2, length, type, Parser, seg, segOpts
+		let marker2, length, types, type, Parser, seg, segOpts
 		for (; offset < end; offset++) {
 			if (file.getUint8(offset) !== MARKER_1) continue
 			// Reading uint8 instead of uint16 to prevent re-reading subsequent bytes.
@@ -145,8 +185,8 @@ export class JpegFileParser extends FileParserBase {
 			if (isAppMarker(marker2)) {
 				// WE FOUND APP-N SEGMENT
 				length = file.getUint16(offset + 2)
-				type = getSegmentType(file, offset, length)
-				if (type && wanted.has(type)) {
+				types = getSegmentTypes(file, offset, length).filter(type => wanted.has(type))
+				for (type of types) {
 					// known and parseable segment found
 					Parser = segmentParsers.get(type)
 					seg = Parser.findPosition(file, offset)
@@ -163,10 +203,11 @@ export class JpegFileParser extends FileParserBase {
 							// Not a multisegment or we're not allowed to process them.
 							remaining.delete(type)
 						}
-						// stop parsing alltogether if we've found all requested segments.
-						if (remaining.size === 0) break
 					}
-				} if (options.recordUnknownSegments) {
+				}
+				// stop parsing alltogether if we've found all requested segments.
+				if (types.length > 0 && !findAll && remaining.size === 0) break
+				if (options.recordUnknownSegments) {
 					// either unknown/supported appN segment or just a noise.
 					seg = AppSegmentParserBase.findPosition(file, offset)
 					seg.marker = marker2
@@ -182,6 +223,8 @@ export class JpegFileParser extends FileParserBase {
 					return undefined
 				if (options.recordJpegSegments)
 					this.jpegSegments.push({offset, length, marker: marker2})
+				if (wanted.has(JPEG) && (isSofMarker(marker2) || marker2 === MARKER_2_DQT || marker2 === MARKER_2_COMMENT))
+					this.frameSegments.push({offset, length, marker: marker2})
 				offset += length + 1
 			}
 		}
@@ -220,6 +263,42 @@ export class JpegFileParser extends FileParserBase {
 
 }
 
+// DQT segment contains one or more tables. Each starts with precision (upper 4 bits, 0 = 8b, 1 = 16b values)
+// and id (lower 4 bits) of the table, followed by 64 values in zigzag order.
+// Returns array of tables (indexed by the id) with values in natural (row by row) order.
+// Tables can be redefined, the last definition wins.
+function readQuantizationTables(file, segments) {
+	let tables = []
+	for (let {offset, length} of segments) {
+		let end = offset + 2 + length
+		offset += 4
+		while (offset < end) {
+			let precision = file.getUint8(offset) >> 4
+			let id = file.getUint8(offset) & 0x0F
+			let valueSize = precision === 0 ? 1 : 2
+			offset++
+			if (offset + 64 * valueSize > end) break
+			let table = new Uint16Array(64)
+			for (let i = 0; i < 64; i++, offset += valueSize)
+				table[ZIGZAG[i]] = valueSize === 1 ? file.getUint8(offset) : file.getUint16(offset)
+			tables[id] = table
+		}
+	}
+	return tables
+}
+
+// Natural order index of n-th value in zigzag order.
+const ZIGZAG = [
+	 0,  1,  8, 16,  9,  2,  3, 10,
+	17, 24, 32, 25, 18, 11,  4,  5,
+	12, 19, 26, 33, 40, 48, 41, 34,
+	27, 20, 13,  6,  7, 14, 21, 28,
+	35, 42, 49, 56, 57, 50, 43, 36,
+	29, 22, 15, 23, 30, 37, 44, 51,
+	58, 59, 52, 45, 38, 31, 39, 46,
+	53, 60, 61, 54, 47, 55, 62, 63,
+]
+
 function groupBy(array, key) {
 	let groups = new Map
 	let item, groupKey, group
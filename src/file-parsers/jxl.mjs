@@ -0,0 +1,94 @@
+import {fileParsers} from '../plugins.mjs'
+import {IsoBmffParser, getContentLength} from './heif.mjs'
+import {BufferView} from '../util/BufferView.mjs'
+import {throwError} from '../util/helpers.mjs'
+import * as platform from '../util/platform.mjs'
+import {zlibPromise} from '../util/inflate.mjs'
+
+
+// https://github.com/libjxl/libjxl/blob/main/doc/format_overview.md#file-format
+// Only the container (ISO BMFF boxes) can hold metadata. Bare codestream (FF 0A) can't.
+
+// JXL signature box: 4 bytes length (always 12) + 'JXL ' + 0D 0A 87 0A
+const SIGNATURE_LENGTH = 12
+const SIGNATURE_KIND   = 0x4a584c20 // 'JXL '
+
+// Exif box starts with 4 byte offset of the TIFF header (usually 0).
+const EXIF_OFFSET_LENGTH = 4
+// brob box wraps other box in Brotli compression. First 4 bytes are the type of the original box.
+const BROB_TYPE_LENGTH = 4
+
+// Box types with metadata and segments they contain.
+// NOTE: jbrd (JPEG bitstream reconstruction data) refers to these boxes, EXIF and XMP of recompressed JPEGs are in them too.
+const metaBoxes = {
+	'Exif': 'tiff',
+	'xml ': 'xmp',
+}
+
+export class JxlFileParser extends IsoBmffParser {
+
+	static type = 'jxl'
+
+	static canHandle(file, firstTwoBytes) {
+		return firstTwoBytes === 0
+			&& file.getUint32(0) === SIGNATURE_LENGTH
+			&& file.getUint32(4) === SIGNATURE_KIND
+	}
+
+	async parse() {
+		// Metadata boxes are usually placed after the codestream.
+		let boxes = await this.parseBoxHeads(0)
+		for (let box of boxes) {
+			if (box.kind === 'brob')
+				await this.parseBrotliBox(box).catch(this.handleError)
+			else if (metaBoxes[box.kind] !== undefined)
+				await this.parseMetaBox(box)
+		}
+	}
+
+	async parseMetaBox(box) {
+		let type = metaBoxes[box.kind]
+		if (!this.options[type].enabled) return
+		let length = getContentLength(box)
+		await this.file.ensureChunk(box.start, length)
+		this.createSegment(box.kind, this.file.subarray(box.start, length))
+	}
+
+	async parseBrotliBox(box) {
+		await this.file.ensureChunk(box.start, BROB_TYPE_LENGTH)
+		let kind = this.file.getString(box.start, BROB_TYPE_LENGTH)
+		let type = metaBoxes[kind]
+		if (type === undefined || !this.options[type].enabled) return
+		let offset = box.start + BROB_TYPE_LENGTH
+		let length = box.offset + box.length - offset
+		await this.file.ensureChunk(offset, length)
+		let data = await decompressBrotli(this.file.getUint8Array(offset, length), kind)
+		this.createSegment(kind, new BufferView(data))
+	}
+
+	createSegment(kind, chunk) {
+		if (kind === 'Exif') {
+			let tiffOffset = EXIF_OFFSET_LENGTH + chunk.getUint32(0)
+			this.createParser('tiff', chunk.subarray(tiffOffset))
+		} else {
+			this.createParser(metaBoxes[kind], chunk)
+		}
+	}
+
+	handleError = error => {
+		if (this.options.silentErrors)
+			this.errors.push(error.message)
+		else
+			throw error
+	}
+
+}
+
+async function decompressBrotli(data, kind) {
+	let zlib = platform.node ? await zlibPromise : undefined
+	if (zlib === undefined || zlib.brotliDecompressSync === undefined)
+		throwError(`Couldn't decompress '${kind}' box, no Brotli decompressor is available`)
+	return zlib.brotliDecompressSync(data)
+}
+
+fileParsers.set('jxl', JxlFileParser)
\ No newline at end of file
@@ -1,11 +1,10 @@
 import {FileParserBase} from '../parser.mjs'
 import {fileParsers, segmentParsers} from '../plugins.mjs'
-import * as platform from '../util/platform.mjs'
-import dynamicImport from '../util/import.mjs'
+import {throwError} from '../util/helpers.mjs'
+import {uint8ArrayToUtf8String} from '../util/BufferView.mjs'
+import {inflate} from '../util/inflate.mjs'
 
 
-let zlibPromise = dynamicImport('zlib')
-
 // https://dev.exiv2.org/projects/exiv2/wiki/The_Metadata_in_PNG_files
 // http://www.libpng.org/pub/png/spec/1.2/PNG-Chunks.html
 
@@ -13,16 +12,42 @@ const PNG_MAGIC_BYTES = '\x89\x50\x4e\x47\x0d\x0a\x1a\x0a'
 
 const PNG_XMP_PREFIX = 'XML:com.adobe.xmp'
 
+// ImageMagick (and tools based on it) stores binary profiles hex encoded in text chunks with these keywords.
+const RAW_PROFILE_PREFIX = 'Raw profile type '
+const rawProfileSegments = {
+	exif: 'tiff',
+	app1: 'tiff', // older versions of ImageMagick
+	iptc: 'iptc',
+}
+const EXIF_HEADER = 'Exif\x00\x00'
+
 const LENGTH_SIZE = 4
 const TYPE_SIZE = 4
 const CRC_SIZE = 4
+const CHUNK_HEADER_SIZE = LENGTH_SIZE + TYPE_SIZE
 
 const IHDR = 'ihdr'
+const IEND = 'iend'
 const ICCP = 'iccp'
 const TEXT = 'text'
 const ITXT = 'itxt'
+const ZTXT = 'ztxt'
 const EXIF = 'exif' // eXIf
-const pngMetaChunks = [IHDR, ICCP, TEXT, ITXT, EXIF]
+const PHYS = 'phys'
+const GAMA = 'gama'
+const CHRM = 'chrm'
+const SRGB = 'srgb'
+const TIME = 'time'
+const BKGD = 'bkgd'
+const ACTL = 'actl' // APNG animation control
+const ancillaryChunks = [PHYS, GAMA, CHRM, SRGB, TIME, BKGD, ACTL]
+const pngMetaChunks = [IHDR, ICCP, TEXT, ITXT, ZTXT, EXIF, ...ancillaryChunks]
+
+// Gamma and chromaticities are stored as integers times 100000.
+const FLOAT_SCALE = 100000
+const INCHES_PER_METER = 0.0254
+const UNIT_METER = 1
+const COLOR_TYPE_PALETTE = 3
 
 export class PngFileParser extends FileParserBase {
 
@@ -35,11 +60,11 @@ export class PngFileParser extends FileParserBase {
 	}
 
 	async parse() {
-		let {file} = this
-		await this.findPngChunksInRange(PNG_MAGIC_BYTES.length, file.byteLength)
+		await this.findPngChunks()
 		await this.readSegments(this.metaChunks)
 		this.findIhdr()
-		this.parseTextChunks()
+		this.parseAncillaryChunks()
+		await this.parseTextChunks()
 		await this.findExif().catch(this.catchError)
 		await this.findXmp().catch(this.catchError)
 		await this.findIcc().catch(this.catchError)
@@ -50,20 +75,26 @@ export class PngFileParser extends FileParserBase {
 	metaChunks = []
 	unknownChunks = []
 
-	async findPngChunksInRange(offset, end) {
+	// Walks the chunks one after another and only reads (in chunked mode) their headers.
+	// Image data (IDAT) is never read. Metadata chunks (eXIf, iTXt, tIME) are often placed after it, at the end of the file.
+	async findPngChunks() {
 		let {file} = this
-		while (offset < end) {
+		let offset = PNG_MAGIC_BYTES.length
+		while (true) {
+			await file.ensureChunk(offset, CHUNK_HEADER_SIZE)
+			if (!this.isAvailable(offset, CHUNK_HEADER_SIZE)) break
 			let size = file.getUint32(offset) // size without crc
 			let marker = file.getUint32(offset + LENGTH_SIZE)
 			let name = file.getString(offset + LENGTH_SIZE, 4)
 			let type = name.toLowerCase()
-			let start = offset + LENGTH_SIZE + TYPE_SIZE
-			let length = size + LENGTH_SIZE + TYPE_SIZE + CRC_SIZE
+			let start = offset + CHUNK_HEADER_SIZE
+			let length = size + CHUNK_HEADER_SIZE + CRC_SIZE
 			let seg = {type, offset, length, start, size, marker}
 			if (pngMetaChunks.includes(type))
 				this.metaChunks.push(seg)
 			else
 				this.unknownChunks.push(seg)
+			if (type === IEND) break
 			offset += length
 		}
 	}
@@ -72,12 +103,137 @@ export class PngFileParser extends FileParserBase {
 	// There can be many of them, the format is simple enough to not mandate custom segment-parser class.
 	// For simplicity's and performance's sake. And these chunks do not specifically belong (like for example into iptc, exif, etc...)
 	// So we're just parse it all here and merge the output into ihdr (rest of PNG header data).
-	parseTextChunks() {
-		let textChunks = this.metaChunks.filter(info => info.type === TEXT)
-		for (let seg of textChunks) {
-			let [key, val] = this.file.getString(seg.start, seg.size).split('\0')
-			this.injectKeyValToIhdr(key, val)
+	// zTXt (compressed) and iTXt (unicode, optionally compressed) chunks are handled the same way, except for XMP in iTXt.
+	async parseTextChunks() {
+		for (let seg of this.metaChunks) {
+			try {
+				if (seg.type === TEXT)
+					this.handleText(...this.file.getString(seg.start, seg.size).split('\0'))
+				else if (seg.type === ZTXT)
+					await this.parseZtxt(seg)
+				else if (seg.type === ITXT && !isXmpChunk(seg))
+					await this.parseItxt(seg)
+			} catch (err) {
+				this.catchError(err)
+			}
+		}
+	}
+
+	// Ancillary chunks have fixed structure and only hold a few values each. Same as text chunks, the values are merged into ihdr.
+	parseAncillaryChunks() {
+		if (!this.parsers.ihdr) return
+		for (let seg of this.metaChunks) {
+			try {
+				if (ancillaryChunks.includes(seg.type))
+					this.parseAncillaryChunk(seg)
+			} catch (err) {
+				this.catchError(err)
+			}
+		}
+	}
+
+	parseAncillaryChunk({type, chunk}) {
+		switch (type) {
+			case PHYS: return this.parsePhys(chunk)
+			case GAMA: return this.injectKeyValToIhdr('Gamma', chunk.getUint32(0) / FLOAT_SCALE)
+			case CHRM: return this.parseChrm(chunk)
+			case SRGB: return this.injectKeyValToIhdr('SRGBRendering', chunk.getUint8(0))
+			case TIME: return this.parseTime(chunk)
+			case BKGD: return this.parseBkgd(chunk)
+			case ACTL: return this.parseActl(chunk)
+		}
+	}
+
+	// pHYs: pixels per unit in X and Y axis (4B each) and unit (1B). Resolution in DPI is calculated if the unit is meter.
+	parsePhys(chunk) {
+		let x = chunk.getUint32(0)
+		let y = chunk.getUint32(4)
+		let unit = chunk.getUint8(8)
+		this.injectKeyValToIhdr('PixelsPerUnitX', x)
+		this.injectKeyValToIhdr('PixelsPerUnitY', y)
+		this.injectKeyValToIhdr('PixelUnits', unit)
+		if (unit === UNIT_METER) {
+			this.injectKeyValToIhdr('XResolution', Math.round(x * INCHES_PER_METER))
+			this.injectKeyValToIhdr('YResolution', Math.round(y * INCHES_PER_METER))
+		}
+	}
+
+	// cHRM: x and y coordinates of white point, red, green and blue primaries.
+	parseChrm(chunk) {
+		let keys = ['WhitePointX', 'WhitePointY', 'RedX', 'RedY', 'GreenX', 'GreenY', 'BlueX', 'BlueY']
+		keys.forEach((key, i) => this.injectKeyValToIhdr(key, chunk.getUint32(i * 4) / FLOAT_SCALE))
+	}
+
+	// tIME: year (2B), month, day, hour, minute and second (1B each) in UTC. Revived into Date by ihdr reviver.
+	parseTime(chunk) {
+		let pad = num => num.toString().padStart(2, '0')
+		let year = chunk.getUint16(0)
+		let [month, day, hour, minute, second] = Array.from(chunk.getUint8Array(2, 5), pad)
+		this.injectKeyValToIhdr('ModifyDate', `${year}:${month}:${day} ${hour}:${minute}:${second}`)
+	}
+
+	// bKGD: palette index for indexed color images, gray level (2B) for grayscale and RGB (2B each) for color images.
+	parseBkgd(chunk) {
+		let colorType = this.metaChunks.find(seg => seg.type === IHDR).chunk.getUint8(9)
+		let color
+		if (colorType === COLOR_TYPE_PALETTE)
+			color = chunk.getUint8(0)
+		else if (colorType & 2)
+			color = [chunk.getUint16(0), chunk.getUint16(2), chunk.getUint16(4)]
+		else
+			color = chunk.getUint16(0)
+		this.injectKeyValToIhdr('BackgroundColor', color)
+	}
+
+	// acTL: number of frames and number of plays (0 means infinite) of APNG animation.
+	parseActl(chunk) {
+		this.injectKeyValToIhdr('AnimationFrames', chunk.getUint32(0))
+		this.injectKeyValToIhdr('AnimationPlays', chunk.getUint32(4))
+	}
+
+	// zTXt: keyword, null terminator, compression method (1B, always 0 - deflate) and compressed text.
+	async parseZtxt(seg) {
+		let u8arr = seg.chunk.toUint8()
+		let keyEnd = u8arr.indexOf(0)
+		let data = await inflate(u8arr.subarray(keyEnd + 2))
+		this.handleText(seg.chunk.getString(0, keyEnd), uint8ArrayToUtf8String(data))
+	}
+
+	async parseItxt(seg) {
+		let {key, data} = await this.readItxt(seg)
+		this.handleText(key, uint8ArrayToUtf8String(data))
+	}
+
+	// http://www.libpng.org/pub/png/spec/1.2/PNG-Chunks.html#C.iTXt
+	// iTXt chunk header is slightly complicated. It contains multiple null-terminator-separated info.
+	// keyword, null, compression flag (1B), compression method (1B), language tag, null, translated keyword, null, text.
+	async readItxt(seg) {
+		let u8arr = seg.chunk.toUint8()
+		let keyEnd = u8arr.indexOf(0)
+		let key = seg.chunk.getString(0, keyEnd)
+		let compressed = u8arr[keyEnd + 1] === 1
+		let langEnd = u8arr.indexOf(0, keyEnd + 3)
+		let translatedKeyEnd = u8arr.indexOf(0, langEnd + 1)
+		let data = u8arr.subarray(translatedKeyEnd + 1)
+		if (compressed) data = await inflate(data)
+		return {key, data}
+	}
+
+	handleText(key, val) {
+		if (key.startsWith(RAW_PROFILE_PREFIX)) {
+			let type = rawProfileSegments[key.slice(RAW_PROFILE_PREFIX.length).toLowerCase()]
+			if (type !== undefined) return this.injectRawProfile(type, val)
 		}
+		this.injectKeyValToIhdr(key, val)
+	}
+
+	// EXIF from eXIf chunk takes precedence (findExif() runs afterwards and replaces the parser).
+	injectRawProfile(type, text) {
+		if (!this.options[type].enabled) return
+		let data = decodeRawProfile(text)
+		if (type === 'tiff' && String.fromCharCode(...data.subarray(0, EXIF_HEADER.length)) === EXIF_HEADER)
+			data = data.subarray(EXIF_HEADER.length)
+		this.createParser(type, data)
 	}
 
 	injectKeyValToIhdr(key, val) {
@@ -100,15 +256,19 @@ export class PngFileParser extends FileParserBase {
 		this.injectSegment('tiff', seg.chunk)
 	}
 
-	// http://www.libpng.org/pub/png/spec/1.2/PNG-Chunks.html#C.iTXt
-	// iTXt chunk header is slightly complicated. It contains multiple null-terminator-separated info.
-	// The XMP data is present after third null-terminator.
+	// The XMP data is present after third null-terminator of iTXt chunk.
+	// Uncompressed chunk is passed as is, XMP parser looks for the beginning of the packet itself.
 	async findXmp() {
 		let itxtChunks = this.metaChunks.filter(info => info.type === ITXT)
 		for (let seg of itxtChunks) {
-			let prefix = seg.chunk.getString(0, PNG_XMP_PREFIX.length)
-			if (prefix === PNG_XMP_PREFIX)
+			if (!isXmpChunk(seg)) continue
+			if (seg.chunk.getUint8(PNG_XMP_PREFIX.length + 1) === 1) {
+				if (!this.options.xmp.enabled) continue
+				let {data} = await this.readItxt(seg)
+				this.injectSegment('xmp', data)
+			} else {
 				this.injectSegment('xmp', seg.chunk)
+			}
 		}
 	}
 
@@ -125,15 +285,31 @@ export class PngFileParser extends FileParserBase {
 		let iccpHeaderLength = nameLength + 2 // 1 byte null terminator, + 1 byte compression
 		let profileName = chunk.getString(0, nameLength)
 		this.injectKeyValToIhdr('ProfileName', profileName)
+		// Inflating is expensive outside of Node.js, don't bother if the profile would be thrown away anyway.
+		if (!this.options.icc.enabled) return
 		// ICC data is zlib compressed by default. Spec doesn't even allow raw data.
-		if (platform.node) {
-			let zlib = await zlibPromise
-			let dataChunk = chunk.getUint8Array(iccpHeaderLength)
-			dataChunk = zlib.inflateSync(dataChunk)
-			this.injectSegment('icc', dataChunk)
-		}
+		let dataChunk = await inflate(chunk.getUint8Array(iccpHeaderLength))
+		this.injectSegment('icc', dataChunk)
 	}
 
 }
 
+function isXmpChunk(seg) {
+	return seg.chunk.getString(0, PNG_XMP_PREFIX.length) === PNG_XMP_PREFIX
+}
+
+// Hex encoded profile: new line, profile name, new line, length (number of bytes, padded by spaces), new line
+// and hex digits split into lines of 72 characters.
+function decodeRawProfile(text) {
+	let match = text.match(/^\s*\S+\s+(\d+)\s([\s\S]*)$/)
+	if (match === null) throwError('Invalid ImageMagick raw profile')
+	let length = parseInt(match[1], 10)
+	let hex = match[2].replace(/\s/g, '')
+	if (hex.length < length * 2) throwError('ImageMagick raw profile is shorter than its declared length')
+	let data = new Uint8Array(length)
+	for (let i = 0; i < length; i++)
+		data[i] = parseInt(hex.substr(i * 2, 2), 16)
+	return data
+}
+
 fileParsers.set('png', PngFileParser)
\ No newline at end of file
@@ -0,0 +1,74 @@
+import {FileParserBase} from '../parser.mjs'
+import {fileParsers} from '../plugins.mjs'
+import {parseImageResources, getThumbnailData, THUMBNAIL_RESOURCE} from '../util/image-resources.mjs'
+
+
+// https://www.adobe.com/devnet-apps/photoshop/fileformatashtml/
+
+// File header: '8BPS' + version (2B) + reserved (6B) + channels (2B) + height (4B) + width (4B) + depth (2B) + color mode (2B)
+const HEADER_LENGTH = 26
+// Each section after the header (color mode data, image resources, ...) starts with 4 bytes length.
+const SECTION_LENGTH_SIZE = 4
+
+// Image resources with segments we have parsers for.
+const resourceSegments = {
+	0x0404: 'iptc',
+	0x040F: 'icc',
+	0x0422: 'tiff',
+	0x0424: 'xmp',
+}
+
+const PSD = 'psd'
+
+export class PsdFileParser extends FileParserBase {
+
+	static type = 'psd'
+
+	static canHandle(file, firstTwoBytes) {
+		return firstTwoBytes === 0x3842 // '8B'
+			&& file.getUint32(0) === 0x38425053 // '8BPS'
+	}
+
+	async parse() {
+		await this.file.ensureChunk(0, HEADER_LENGTH)
+		// psd option is undefined by default (because we don't want jpegs and heic files to pick it up)
+		// so here we create it for every psd file. But only if user didn't explicitly disabled it.
+		if (this.options[PSD].enabled !== false)
+			this.createParser(PSD, this.file.subarray(0, HEADER_LENGTH))
+		let resources = await this.findResources()
+		// The whole section is also parsed by Photoshop segment parser (resolution info, slices, etc...)
+		if (resources.length > 0 && this.options.photoshop.enabled) {
+			let {offset, length} = this.resourcesSection
+			this.createParser('photoshop', this.file.subarray(offset, length))
+		}
+		for (let {id, start, size} of resources) {
+			let type = resourceSegments[id]
+			if (type !== undefined && this.parsers[type] === undefined)
+				this.injectSegment(type, this.file.subarray(start, size))
+		}
+	}
+
+	// Image resources section follows the header and (usually empty) color mode data section.
+	async findResources() {
+		if (this.resources) return this.resources
+		let {file} = this
+		await file.ensureChunk(HEADER_LENGTH, SECTION_LENGTH_SIZE)
+		let colorModeLength = file.getUint32(HEADER_LENGTH)
+		let offset = HEADER_LENGTH + SECTION_LENGTH_SIZE + colorModeLength
+		await file.ensureChunk(offset, SECTION_LENGTH_SIZE)
+		let length = file.getUint32(offset)
+		offset += SECTION_LENGTH_SIZE
+		await file.ensureChunk(offset, length)
+		this.resourcesSection = {offset, length}
+		return this.resources = parseImageResources(file, offset, offset + length)
+	}
+
+	async extractThumbnail() {
+		let resources = await this.findResources()
+		let resource = resources.find(res => res.id === THUMBNAIL_RESOURCE)
+		if (resource !== undefined) return getThumbnailData(this.file, resource)
+	}
+
+}
+
+fileParsers.set('psd', PsdFileParser)
\ No newline at end of file
@@ -0,0 +1,97 @@
+import {fileParsers} from '../plugins.mjs'
+import {IsoBmffParser, getUuid, UUID_LENGTH, XMP_UUID} from './heif.mjs'
+import {BufferView} from '../util/BufferView.mjs'
+import {concatUint8Arrays} from '../util/helpers.mjs'
+
+
+// https://developer.apple.com/library/archive/documentation/QuickTime/QTFF/QTFFChap1/qtff1.html
+
+// Major brands of MP4 (ISO base media) video files. Image formats (heic, avif, crx) have their own parsers.
+const MP4_BRANDS = [
+	'isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'MSNV',
+	'3gp4', '3gp5', '3gp6', '3g2a', 'dash', 'XAVC', 'mmp4',
+]
+const MOV_BRAND = 'qt  '
+// Old QuickTime files don't have ftyp and start right with one of these.
+const MOV_FIRST_BOXES = ['moov', 'mdat', 'wide', 'free', 'skip']
+
+// Boxes of moov with metadata. The rest (trak with sample tables) can be quite large and is never read.
+const metadataBoxes = ['mvhd', 'udta', 'meta']
+
+const QUICKTIME = 'quicktime'
+
+export class QuickTimeFileParser extends IsoBmffParser {
+
+	async parse() {
+		let boxes = await this.parseBoxHeads(0)
+		let moov = boxes.find(box => box.kind === 'moov')
+		if (moov) await this.parseMoov(moov)
+		if (this.options.xmp.enabled) {
+			for (let box of boxes)
+				if (box.kind === 'uuid') await this.parseXmpUuid(box)
+		}
+	}
+
+	// quicktime option is undefined by default (because we don't want images to pick it up)
+	// so here we create it for every video file. But only if user didn't explicitly disabled it.
+	async parseMoov(moov) {
+		let boxes = await this.parseBoxHeads(moov.start, moov.offset + moov.length)
+		boxes = boxes.filter(box => metadataBoxes.includes(box.kind))
+		for (let box of boxes)
+			await this.file.ensureChunk(box.offset, box.length)
+		if (this.options.xmp.enabled) {
+			let udta = boxes.find(box => box.kind === 'udta')
+			let xmp = udta && this.findBox(udta, 'XMP_')
+			if (xmp) await this.registerSegment('xmp', xmp.start, xmp.offset + xmp.length - xmp.start)
+		}
+		if (this.options[QUICKTIME].enabled === false || boxes.length === 0) return
+		let chunks = boxes.map(box => this.file.getUint8Array(box.offset, box.length))
+		this.createParser(QUICKTIME, new BufferView(concatUint8Arrays(chunks)))
+	}
+
+	async parseXmpUuid(box) {
+		await this.file.ensureChunk(box.start, UUID_LENGTH)
+		if (getUuid(this.file, box.start) !== XMP_UUID) return
+		let offset = box.start + UUID_LENGTH
+		await this.registerSegment('xmp', offset, box.offset + box.length - offset)
+	}
+
+}
+
+export class MovFileParser extends QuickTimeFileParser {
+
+	static type = 'mov'
+
+	static canHandle(file, firstTwoBytes) {
+		if (firstTwoBytes !== 0) return false
+		let kind = file.getString(4, 4)
+		if (kind === 'ftyp') return file.getString(8, 4) === MOV_BRAND
+		// These kinds are too generic to be relied upon, the size has to be plausible as well.
+		return MOV_FIRST_BOXES.includes(kind)
+			&& isPlausibleBoxSize(file, file.getUint32(0))
+	}
+
+}
+
+export class Mp4FileParser extends QuickTimeFileParser {
+
+	static type = 'mp4'
+
+	static canHandle(file, firstTwoBytes) {
+		return firstTwoBytes === 0
+			&& file.getString(4, 4) === 'ftyp'
+			&& MP4_BRANDS.includes(file.getString(8, 4))
+	}
+
+}
+
+// Size 1 means that 64bit size follows the box kind.
+// Size of the whole file may not be known when it's read in chunks.
+function isPlausibleBoxSize(file, size) {
+	if (size === 1) return true
+	let fileSize = file.chunked ? file.size : file.byteLength
+	return size >= 8 && (fileSize === undefined || size <= fileSize)
+}
+
+fileParsers.set('mov', MovFileParser)
+fileParsers.set('mp4', Mp4FileParser)
\ No newline at end of file
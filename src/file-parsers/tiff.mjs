@@ -5,13 +5,23 @@ import {estimateMetadataSize} from '../util/helpers.mjs'
 import {TIFF_LITTLE_ENDIAN, TIFF_BIG_ENDIAN} from '../util/helpers.mjs'
 
 
+// Standard TIFF has 42 after the byte order mark. Some RAW formats use their own number instead.
+const TIFF_MAGIC_NUMBERS = [
+	0x002A, // TIFF, DNG, NEF, ARW, CR2
+	0x002B, // BigTIFF
+	0x4F52, // ORF ('IIRO' or 'MMOR')
+	0x5352, // ORF ('IIRS')
+	0x0055, // RW2 ('IIU\0')
+]
+
 export class TiffFileParser extends FileParserBase {
 
 	static type = 'tiff'
 
 	static canHandle(file, firstTwoBytes) {
-		return firstTwoBytes === TIFF_LITTLE_ENDIAN
-			|| firstTwoBytes === TIFF_BIG_ENDIAN
+		if (firstTwoBytes !== TIFF_LITTLE_ENDIAN && firstTwoBytes !== TIFF_BIG_ENDIAN) return false
+		let le = firstTwoBytes === TIFF_LITTLE_ENDIAN
+		return TIFF_MAGIC_NUMBERS.includes(file.getUint16(2, le))
 	}
 
 	extendOptions(options) {
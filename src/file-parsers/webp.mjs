@@ -0,0 +1,98 @@
+import {FileParserBase} from '../parser.mjs'
+import {fileParsers} from '../plugins.mjs'
+import {TAG_COMPRESSION} from '../segment-parsers/webp.mjs'
+
+
+// https://developers.google.com/speed/webp/docs/riff_container
+
+// RIFF header: 'RIFF' + 4 bytes size (LE) + 'WEBP'
+const RIFF_HEADER_LENGTH = 12
+// Chunk header: 4 bytes FourCC + 4 bytes size (LE)
+const CHUNK_HEADER_LENGTH = 8
+
+// Some encoders prefix the EXIF chunk with the same 'Exif\0\0' header that JPEG uses in APP1.
+const EXIF_HEADER = 'Exif\0\0'
+
+// Dimensions and flags are at the very start of VP8X, VP8 and VP8L chunks. No need to read the whole bitstream.
+const IMAGE_HEADER_LENGTH = 30
+
+const WEBP = 'webp'
+const imageChunks = ['VP8X', 'VP8 ', 'VP8L']
+
+export class WebpFileParser extends FileParserBase {
+
+	static type = 'webp'
+
+	static canHandle(file, firstTwoBytes) {
+		return firstTwoBytes === 0x5249
+			&& file.getUint32(0) === 0x52494646 // 'RIFF'
+			&& file.getUint32(8) === 0x57454250 // 'WEBP'
+	}
+
+	async parse() {
+		let chunks = await this.findRiffChunks()
+		let imageChunk = chunks.find(chunk => imageChunks.includes(chunk.type))
+		if (imageChunk) await this.findHeader(imageChunk, chunks)
+		await this.findExif(chunks)
+		await this.findSegment(chunks, 'XMP ', 'xmp')
+		await this.findSegment(chunks, 'ICCP', 'icc')
+	}
+
+	// Walks the chunks one after another and only reads (in chunked mode) their headers.
+	// Metadata chunks are usually at the end of the file, after the image data.
+	async findRiffChunks() {
+		let {file} = this
+		let end = file.getUint32(4, true) + CHUNK_HEADER_LENGTH
+		let offset = RIFF_HEADER_LENGTH
+		let chunks = []
+		while (offset + CHUNK_HEADER_LENGTH <= end) {
+			await file.ensureChunk(offset, CHUNK_HEADER_LENGTH)
+			if (!this.isAvailable(offset, CHUNK_HEADER_LENGTH)) break
+			let type  = file.getString(offset, 4)
+			let size  = file.getUint32(offset + 4, true)
+			let start = offset + CHUNK_HEADER_LENGTH
+			chunks.push({type, offset, start, size})
+			// Chunks are padded to even size.
+			offset = start + size + (size % 2)
+		}
+		return chunks
+	}
+
+	// webp option is undefined by default (because we don't want jpegs and heic files to pick it up)
+	// so here we create it for every webp file. But only if user didn't explicitly disabled it.
+	async findHeader(imageChunk, chunks) {
+		if (this.options[WEBP].enabled === false) return
+		let length = CHUNK_HEADER_LENGTH + Math.min(IMAGE_HEADER_LENGTH, imageChunk.size)
+		await this.file.ensureChunk(imageChunk.offset, length)
+		this.createParser(WEBP, this.file.subarray(imageChunk.offset, length))
+		// Extended files (VP8X) store the actual bitstream in one of the following chunks.
+		if (imageChunk.type === 'VP8X') {
+			let bitstream = chunks.find(chunk => chunk.type === 'VP8 ' || chunk.type === 'VP8L')
+			if (bitstream) this.parsers[WEBP].raw.set(TAG_COMPRESSION, bitstream.type)
+		}
+	}
+
+	async findExif(chunks) {
+		let chunk = await this.readChunk(chunks, 'EXIF', 'tiff')
+		if (chunk === undefined) return
+		if (chunk.getString(0, EXIF_HEADER.length) === EXIF_HEADER)
+			chunk = chunk.subarray(EXIF_HEADER.length)
+		this.createParser('tiff', chunk)
+	}
+
+	async findSegment(chunks, chunkType, segType) {
+		let chunk = await this.readChunk(chunks, chunkType, segType)
+		if (chunk !== undefined) this.createParser(segType, chunk)
+	}
+
+	async readChunk(chunks, chunkType, segType) {
+		if (!this.options[segType].enabled) return
+		let seg = chunks.find(chunk => chunk.type === chunkType)
+		if (seg === undefined) return
+		await this.file.ensureChunk(seg.start, seg.size)
+		return this.file.subarray(seg.start, seg.size)
+	}
+
+}
+
+fileParsers.set('webp', WebpFileParser)
\ No newline at end of file
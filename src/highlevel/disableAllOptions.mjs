@@ -4,6 +4,7 @@ export const disableAllOptions = {
 	exif: false,
 	gps: false,
 	interop: false,
+	subIfds: false,
 	// turning off all unnecessary steps and transformation to get the needed data ASAP
 	sanitize: false,
 	reviveValues: true,
@@ -16,4 +16,9 @@ export async function gps(input) {
 		let {latitude, longitude} = output.gps
 		return {latitude, longitude}
 	}
+	// Videos (MOV, MP4) store the location in QuickTime metadata instead of EXIF.
+	if (output && output.quicktime && output.quicktime.latitude !== undefined) {
+		let {latitude, longitude} = output.quicktime
+		return {latitude, longitude}
+	}
 }
\ No newline at end of file
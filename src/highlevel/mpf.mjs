@@ -0,0 +1,21 @@
+import * as platform from '../util/platform.mjs'
+import {Buffer} from '../util/platform.mjs'
+import {Exifr} from '../Exifr.mjs'
+import {disableAllOptions} from './disableAllOptions.mjs'
+
+
+export const mpfOnlyOptions = Object.assign({}, disableAllOptions, {
+	tiff: false,
+	mpf: true,
+})
+
+// Returns all images listed in MPF index (primary image first), e.g. right eye image of MPO or large preview.
+export async function mpfImages(input) {
+	let exr = new Exifr(mpfOnlyOptions)
+	await exr.read(input)
+	let images = await exr.extractMpfImages()
+	if (images && platform.hasBuffer)
+		return images.map(u8arr => Buffer.from(u8arr))
+	else
+		return images
+}
\ No newline at end of file
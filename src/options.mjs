@@ -1,6 +1,9 @@
 import {TAG_MAKERNOTE, TAG_USERCOMMENT} from './tags.mjs'
-import {TAG_IFD_EXIF, TAG_IFD_GPS, TAG_IFD_INTEROP} from './tags.mjs'
+import {TAG_IFD_EXIF, TAG_IFD_GPS, TAG_IFD_INTEROP, TAG_IFD_SUBIFDS} from './tags.mjs'
 import {TAG_XMP, TAG_IPTC, TAG_ICC} from './tags.mjs'
+import {TAG_IMAGE_WIDTH, TAG_IMAGE_HEIGHT} from './tags.mjs'
+import {TAG_GEOTIFF_PIXEL_SCALE, TAG_GEOTIFF_TIEPOINT, TAG_GEOTIFF_TRANSFORMATION} from './tags.mjs'
+import {TAG_GEOTIFF_DIRECTORY, TAG_GEOTIFF_DOUBLE_PARAMS, TAG_GEOTIFF_ASCII_PARAMS} from './tags.mjs'
 import {tagKeys} from './tags.mjs'
 import * as platform from './util/platform.mjs'
 import {throwError} from './util/helpers.mjs'
@@ -17,13 +20,15 @@ export const chunkedProps = [
 ]
 
 // List of other segments besides the tiff/exif itself
-export const otherSegments = ['jfif', 'xmp', 'icc', 'iptc', 'ihdr']
+export const otherSegments = ['jfif', 'jpeg', 'xmp', 'icc', 'iptc', 'photoshop', 'mpf', 'adobe', 'ducky', 'ihdr', 'jp2h', 'webp', 'heif', 'quicktime', 'gif', 'psd']
 // List of all other segments
 export const segments = ['tiff', ...otherSegments]
 // WARNING: this order is necessary for correctly assigning pick tags.
-export const tiffBlocks = ['ifd0', 'ifd1', 'exif', 'gps', 'interop']
+export const tiffBlocks = ['ifd0', 'ifd1', 'exif', 'gps', 'interop', 'subIfds', 'geotiff']
 export const segmentsAndBlocks = [...segments, ...tiffBlocks]
-export const tiffExtractables = ['makerNote', 'userComment']
+// SubIFDs share the dictionary with IFD0. Global pick/skip of IFD0 tags shouldn't implicitly enable them.
+const globallyFilteredBlocks = tiffBlocks.filter(key => key !== 'subIfds')
+export const tiffExtractables = ['makerNote', 'userComment', 'pages']
 export const inheritables = ['translateKeys', 'translateValues', 'reviveValues', 'multiSegment']
 export const allFormatters = [...inheritables, 'sanitize', 'mergeOutput', 'silentErrors']
 
@@ -44,6 +49,7 @@ class SubOptions extends SharedOptions {
 	skip = new Set
 	pick = new Set
 	deps = new Set // tags required by other blocks or segments (IFD pointers, makernotes)
+	onlyDeps = false // block wasn't requested, it's only parsed because of deps
 	translateKeys   = false
 	translateValues = false
 	reviveValues    = false
@@ -117,6 +123,7 @@ class SubOptions extends SharedOptions {
 	finalizeFilters() {
 		if (!this.enabled && this.deps.size > 0) {
 			this.enabled = true
+			this.onlyDeps = true
 			addToSet(this.pick, this.deps)
 		} else if (this.enabled && this.pick.size > 0) {
 			addToSet(this.pick, this.deps)
@@ -128,10 +135,15 @@ class SubOptions extends SharedOptions {
 var defaults = {
 	// APP Segments
 	jfif: false, // jpeg only (jpeg file header)
+	jpeg: false, // jpeg only (frame info from SOF and COM comments)
 	tiff: true,
 	xmp: false,
 	icc: false,
 	iptc: false,
+	photoshop: false, // photoshop image resources (jpeg APP13 and psd)
+	mpf: false, // jpeg only (multi-picture format index of MPO images and large previews)
+	adobe: false, // jpeg only (APP14 color transform)
+	ducky: false, // jpeg only (APP12 save for web quality, comment and copyright)
 
 	// TIFF BLOCKS
 	ifd0: true, // image
@@ -139,15 +151,26 @@ var defaults = {
 	exif: true,
 	gps: true,
 	interop: false, // jpeg only
+	subIfds: false, // additional images in RAW files (DNG, NEF, ARW)
+	geotiff: false, // decoded GeoKeys of GeoTIFF
+	heif: false, // heic and avif only (properties of the primary image)
 
 	// undefined because we don't want Jpeg or Heic file parser to pick it up.
 	// Png parser will use Ihdr implicitly unless it's disabled by user.
 	ihdr: undefined, // png only (png file header)
+	jp2h: undefined, // jp2 only (jpeg 2000 file header)
+	webp: undefined, // webp only (canvas size and features)
+	quicktime: undefined, // mov and mp4 only (video metadata)
+	gif: undefined, // gif only (screen size, frames and comments)
+	psd: undefined, // psd only (dimensions, color mode and bit depth)
 
 	// Notable TIFF tags
 	makerNote: false,
 	userComment: false,
 
+	// All IFDs in the chain (IFD0, IFD1, IFD2, ...), i.e. pages of multi-page TIFF.
+	pages: false,
+
 	// TODO: to be developed in future version, this is just a proposal for future api
 	multiSegment: false,
 
@@ -259,7 +282,7 @@ export class Options extends SharedOptions {
 		for (key of allFormatters)     this[key] = defaults[key]
 		for (key of tiffExtractables)  this[key] = defaults[key]
 		for (key of segmentsAndBlocks) this[key] = new SubOptions(key, false, undefined, this)
-		this.setupGlobalFilters(userOptions, undefined, tiffBlocks)
+		this.setupGlobalFilters(userOptions, undefined, globallyFilteredBlocks)
 	}
 
 	setupFromObject(userOptions) {
@@ -273,15 +296,15 @@ export class Options extends SharedOptions {
 		for (key of tiffExtractables)  this[key] = getDefined(userOptions[key], defaults[key])
 		for (key of segments)          this[key] = new SubOptions(key, defaults[key], userOptions[key], this)
 		for (key of tiffBlocks)        this[key] = new SubOptions(key, defaults[key], userOptions[key], this.tiff)
-		this.setupGlobalFilters(userOptions.pick, userOptions.skip, tiffBlocks, segmentsAndBlocks)
+		this.setupGlobalFilters(userOptions.pick, userOptions.skip, globallyFilteredBlocks, segmentsAndBlocks)
 		if (userOptions.tiff === true)
 			this.batchEnableWithBool(tiffBlocks, true)
 		else if (userOptions.tiff === false)
 			this.batchEnableWithUserValue(tiffBlocks, userOptions)
 		else if (Array.isArray(userOptions.tiff))
-			this.setupGlobalFilters(userOptions.tiff, undefined, tiffBlocks)
+			this.setupGlobalFilters(userOptions.tiff, undefined, globallyFilteredBlocks)
 		else if (typeof userOptions.tiff === 'object')
-			this.setupGlobalFilters(userOptions.tiff.pick, userOptions.tiff.skip, tiffBlocks)
+			this.setupGlobalFilters(userOptions.tiff.pick, userOptions.tiff.skip, globallyFilteredBlocks)
 	}
 
 	batchEnableWithBool(keys, value) {
@@ -333,7 +356,7 @@ export class Options extends SharedOptions {
 
 	// INVESTIGATE: can this be moved to Tiff Segment parser?
 	traverseTiffDependencyTree() {
-		let {ifd0, exif, gps, interop} = this
+		let {ifd0, exif, gps, interop, subIfds, geotiff} = this
 		// interop pointer can be often found in EXIF besides IFD0.
 		if (interop.needed) {
 			exif.deps.add(TAG_IFD_INTEROP)
@@ -342,9 +365,12 @@ export class Options extends SharedOptions {
 		// exif needs to go after interop. Exif may be needed for interop, and then ifd0 for exif
 		if (exif.needed)      ifd0.deps.add(TAG_IFD_EXIF)
 		if (gps.needed)       ifd0.deps.add(TAG_IFD_GPS)
+		if (subIfds.needed)   ifd0.deps.add(TAG_IFD_SUBIFDS)
+		if (geotiff.needed)   addToSet(ifd0.deps, geotiffTags)
 		this.tiff.enabled = tiffBlocks.some(key => this[key].enabled === true)
 						|| this.makerNote
 						|| this.userComment
+						|| this.pages
 		// reenable all the blocks with pick or deps and lock in deps into picks if needed.
 		for (let key of tiffBlocks) this[key].finalizeFilters()
 	}
@@ -363,6 +389,18 @@ export class Options extends SharedOptions {
 
 }
 
+// IFD0 tags needed for decoding GeoTIFF block and calculating the bounding box.
+export const geotiffTags = [
+	TAG_IMAGE_WIDTH,
+	TAG_IMAGE_HEIGHT,
+	TAG_GEOTIFF_PIXEL_SCALE,
+	TAG_GEOTIFF_TIEPOINT,
+	TAG_GEOTIFF_TRANSFORMATION,
+	TAG_GEOTIFF_DIRECTORY,
+	TAG_GEOTIFF_DOUBLE_PARAMS,
+	TAG_GEOTIFF_ASCII_PARAMS,
+]
+
 function findScopesForGlobalTagArray(tagArray, dictKeys) {
 	let scopes = []
 	let dict, scopedTags, blockKey, tagEntry
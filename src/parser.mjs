@@ -32,6 +32,14 @@ export class FileParserBase {
 		return this.parsers[type] = parser
 	}
 
+	// Whether the range is in memory. Used when walking boxes/chunks of a file that may be truncated or read in chunks.
+	isAvailable(offset, length) {
+		if (this.file.chunked)
+			return this.file.available(offset, length)
+		else
+			return offset + length <= this.file.byteLength
+	}
+
 	// NOTE: This method was created to be reusable and not just one off. Mainly due to parsing ifd0 before thumbnail extraction.
 	//       But also because we want to enable advanced users selectively add and execute parser on the fly.
 	createParsers(segments) {
@@ -0,0 +1,37 @@
+import {AppSegmentParserBase} from '../parser.mjs'
+import {segmentParsers} from '../plugins.mjs'
+
+
+// APP14 Adobe segment. Written by Adobe products and most encoders of CMYK images.
+// ColorTransform tells if the components are RGB/CMYK (no transform), YCbCr or YCCK.
+// tags https://exiftool.org/TagNames/JPEG.html#Adobe
+export default class Adobe extends AppSegmentParserBase {
+
+	static type = 'adobe'
+	static headerLength = 9
+
+	static canHandle(buffer, offset) {
+		return buffer.getUint8(offset + 1)  === 0xEE
+			&& buffer.getUint32(offset + 4) === 0x41646F62 // 'Adob'
+			&& buffer.getUint8(offset + 8)  === 0x65       // 'e'
+	}
+
+	parse() {
+		this.parseTags()
+		this.translate()
+		return this.output
+	}
+
+	// the number is not a tag code but an offset in the segment (same as in JFIF)
+	parseTags() {
+		this.raw = new Map([
+			[0, this.chunk.getUint16(0)],
+			[2, this.chunk.getUint16(2)],
+			[4, this.chunk.getUint16(4)],
+			[6, this.chunk.getUint8(6)],
+		])
+	}
+
+}
+
+segmentParsers.set('adobe', Adobe)
\ No newline at end of file
@@ -0,0 +1,54 @@
+import {AppSegmentParserBase} from '../parser.mjs'
+import {segmentParsers} from '../plugins.mjs'
+
+
+// APP12 Ducky segment. Written by Photoshop's "Save for Web".
+// Consists of records: tag (2B), size (2B) and data. Tag 0 terminates the list.
+// Strings are stored as number of characters (4B) followed by UCS-2 (big endian) characters.
+// tags https://exiftool.org/TagNames/APP12.html#Ducky
+const TAG_QUALITY = 1
+
+export default class Ducky extends AppSegmentParserBase {
+
+	static type = 'ducky'
+	static headerLength = 9
+
+	static canHandle(buffer, offset) {
+		return buffer.getUint8(offset + 1)  === 0xEC
+			&& buffer.getUint32(offset + 4) === 0x4475636B // 'Duck'
+			&& buffer.getUint8(offset + 8)  === 0x79       // 'y'
+	}
+
+	parse() {
+		this.parseTags()
+		this.translate()
+		return this.output
+	}
+
+	parseTags() {
+		let {chunk} = this
+		let offset = 0
+		while (offset + 4 <= chunk.byteLength) {
+			let tag  = chunk.getUint16(offset)
+			let size = chunk.getUint16(offset + 2)
+			offset += 4
+			if (tag === 0 || offset + size > chunk.byteLength) break
+			if (tag === TAG_QUALITY)
+				this.raw.set(tag, chunk.getUint32(offset))
+			else
+				this.raw.set(tag, this.getUnicodeString(offset, size))
+			offset += size
+		}
+	}
+
+	getUnicodeString(offset, size) {
+		let length = Math.min(this.chunk.getUint32(offset), (size - 4) / 2)
+		let codes = []
+		for (let i = 0; i < length; i++)
+			codes.push(this.chunk.getUint16(offset + 4 + i * 2))
+		return String.fromCharCode(...codes).replace(/\0+$/, '')
+	}
+
+}
+
+segmentParsers.set('ducky', Ducky)
\ No newline at end of file
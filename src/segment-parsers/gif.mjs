@@ -0,0 +1,38 @@
+import {AppSegmentParserBase} from '../parser.mjs'
+import {segmentParsers} from '../plugins.mjs'
+
+
+// Logical Screen Descriptor packed fields
+const GLOBAL_COLOR_TABLE_FLAG = 0x80
+
+// GIF header: 6 bytes signature ('GIF87a' or 'GIF89a') followed by Logical Screen Descriptor.
+// FrameCount, LoopCount and Comment are found while walking the blocks and injected by the GIF file parser.
+export default class Gif extends AppSegmentParserBase {
+
+	static type = 'gif'
+
+	parse() {
+		this.parseTags()
+		this.translate()
+		return this.output
+	}
+
+	parseTags() {
+		let {chunk} = this
+		let packed = chunk.getUint8(10)
+		// Keys are offsets in the header. Packed fields are numbered like in ExifTool (offset.index).
+		this.raw = new Map([
+			[3,    chunk.getString(3, 3)],
+			[6,    chunk.getUint16(6, true)],
+			[8,    chunk.getUint16(8, true)],
+			[10.1, (packed & GLOBAL_COLOR_TABLE_FLAG) !== 0],
+			[10.2, ((packed >> 4) & 0x07) + 1],
+			[10.3, (packed & 0x07) + 1],
+			[11,   chunk.getUint8(11)],
+			...Array.from(this.raw)
+		])
+	}
+
+}
+
+segmentParsers.set('gif', Gif)
\ No newline at end of file
@@ -0,0 +1,48 @@
+import {AppSegmentParserBase} from '../parser.mjs'
+import {segmentParsers} from '../plugins.mjs'
+
+
+// Image properties of the primary item of HEIF (HEIC, AVIF) file.
+// The chunk is made of the property boxes (from ipco) associated with the primary item in ipma.
+// ispe (image spatial extents), irot (rotation), imir (mirroring), pixi (pixel information)
+export default class Heif extends AppSegmentParserBase {
+
+	static type = 'heif'
+
+	parse() {
+		this.parseTags()
+		this.translate()
+		return this.output
+	}
+
+	parseTags() {
+		let {chunk, raw} = this
+		let offset = 0
+		while (offset + 8 <= chunk.byteLength) {
+			let length = chunk.getUint32(offset)
+			let kind   = chunk.getString(offset + 4, 4)
+			let start  = offset + 8
+			if (kind === 'ispe') {
+				// full box (4 bytes of version and flags)
+				raw.set('ImageWidth',  chunk.getUint32(start + 4))
+				raw.set('ImageHeight', chunk.getUint32(start + 8))
+			} else if (kind === 'irot') {
+				// angle in steps of 90 degrees, anti-clockwise
+				raw.set('Rotation', (chunk.getUint8(start) & 0b11) * 90)
+			} else if (kind === 'imir') {
+				// axis of the mirroring, same values as ExifTool's MirrorAxis
+				// 0 - vertical axis (flips the image left-right), 1 - horizontal axis (flips it top-bottom)
+				raw.set('MirrorAxis', (chunk.getUint8(start) & 1) === 0 ? 'Vertical' : 'Horizontal')
+			} else if (kind === 'pixi') {
+				// full box, number of channels followed by bits per each channel
+				let channels = chunk.getUint8(start + 4)
+				raw.set('BitsPerChannel', Array.from(chunk.getUint8Array(start + 5, channels)))
+			}
+			if (length < 8) break
+			offset += length
+		}
+	}
+
+}
+
+segmentParsers.set('heif', Heif)
\ No newline at end of file
@@ -10,7 +10,21 @@ const TAG_TYPE_DESC = 'desc'
 const TAG_TYPE_MLUC = 'mluc'
 const TAG_TYPE_TEXT = 'text'
 const TAG_TYPE_SIG  = 'sig '
-// TODO: other types 'mft2', 'XYZ '
+const TAG_TYPE_XYZ  = 'XYZ '
+const TAG_TYPE_CURV = 'curv'
+const TAG_TYPE_PARA = 'para'
+const TAG_TYPE_CHRM = 'chrm'
+const TAG_TYPE_MEAS = 'meas'
+const TAG_TYPE_VIEW = 'view'
+const TAG_TYPE_DTIM = 'dtim'
+
+// Type signature (4B) and reserved bytes (4B) precede data of each tag.
+const TAG_TYPE_HEADER_LENGTH = 8
+const XYZ_NUMBER_LENGTH = 12
+
+// Parameters (g, a, b, c, d, e, f) used by each of the parametric curve function types.
+const PARA_PARAMETERS = ['g', 'a', 'b', 'c', 'd', 'e', 'f']
+const PARA_PARAMETER_COUNTS = [1, 3, 4, 5, 7]
 
 const EMPTY_VALUE = '\x00\x00\x00\x00'
 
@@ -87,6 +101,13 @@ export default class Icc extends AppSegmentParserBase {
 			case TAG_TYPE_MLUC: return this.parseMluc(offset)
 			case TAG_TYPE_TEXT: return this.parseText(offset, length)
 			case TAG_TYPE_SIG:  return this.parseSig(offset)
+			case TAG_TYPE_XYZ:  return this.parseXyz(offset, length)
+			case TAG_TYPE_CURV: return this.parseCurv(offset, length)
+			case TAG_TYPE_PARA: return this.parsePara(offset, length)
+			case TAG_TYPE_CHRM: return this.parseChrm(offset, length)
+			case TAG_TYPE_MEAS: return this.parseMeas(offset)
+			case TAG_TYPE_VIEW: return this.parseView(offset)
+			case TAG_TYPE_DTIM: return parseDate(this.chunk, offset + TAG_TYPE_HEADER_LENGTH)
 			// TODO: implement more types
 		}
 		if (offset + length > this.chunk.byteLength) {
@@ -111,6 +132,88 @@ export default class Icc extends AppSegmentParserBase {
 		return normalizeString(this.chunk.getString(offset + 8, 4))
 	}
 
+	// XYZ Type - one (e.g. white point, primaries) or more [X, Y, Z] triplets.
+	parseXyz(offset, length) {
+		let count = Math.floor((length - TAG_TYPE_HEADER_LENGTH) / XYZ_NUMBER_LENGTH)
+		let values = []
+		for (let i = 0; i < count; i++)
+			values.push(this.getXyzNumber(offset + TAG_TYPE_HEADER_LENGTH + i * XYZ_NUMBER_LENGTH))
+		if (count === 1)
+			return values[0]
+		else
+			return values
+	}
+
+	getXyzNumber(offset) {
+		return [
+			this.getS15Fixed16(offset),
+			this.getS15Fixed16(offset + 4),
+			this.getS15Fixed16(offset + 8),
+		]
+	}
+
+	// Curve Type - tone reproduction curve. No entries means identity (gamma 1.0), one entry is gamma (u8Fixed8)
+	// and more entries are a table of values sampled evenly over the input range.
+	parseCurv(offset, length) {
+		let {chunk} = this
+		let count = chunk.getUint32(offset + 8)
+		if (count === 0) return 1
+		if (count === 1) return chunk.getUint16(offset + 12) / 256
+		if (12 + count * 2 > length) return
+		let table = new Uint16Array(count)
+		for (let i = 0; i < count; i++)
+			table[i] = chunk.getUint16(offset + 12 + i * 2)
+		return table
+	}
+
+	// Parametric Curve Type - function type and its parameters.
+	parsePara(offset, length) {
+		let functionType = this.chunk.getUint16(offset + 8)
+		let paramCount = PARA_PARAMETER_COUNTS[functionType]
+		if (paramCount === undefined || 12 + paramCount * 4 > length) return
+		let output = {functionType}
+		for (let i = 0; i < paramCount; i++)
+			output[PARA_PARAMETERS[i]] = this.getS15Fixed16(offset + 12 + i * 4)
+		return output
+	}
+
+	// Chromaticity Type - colorant (phosphor) type and x, y coordinates of each channel.
+	parseChrm(offset, length) {
+		let {chunk} = this
+		let channelCount = chunk.getUint16(offset + 8)
+		let colorant = chunk.getUint16(offset + 10)
+		if (12 + channelCount * 8 > length) return
+		let channels = []
+		for (let i = 0, channelOffset = offset + 12; i < channelCount; i++, channelOffset += 8)
+			channels.push([chunk.getUint32(channelOffset) / 65536, chunk.getUint32(channelOffset + 4) / 65536])
+		return {colorant, channels}
+	}
+
+	// Measurement Type - conditions of the measurement of the profiled device.
+	parseMeas(offset) {
+		let {chunk} = this
+		return {
+			observer:   chunk.getUint32(offset + 8),
+			backing:    this.getXyzNumber(offset + 12),
+			geometry:   chunk.getUint32(offset + 24),
+			flare:      chunk.getUint32(offset + 28) / 65536,
+			illuminant: chunk.getUint32(offset + 32),
+		}
+	}
+
+	// Viewing Conditions Type - absolute XYZ values of illuminant and surround.
+	parseView(offset) {
+		return {
+			illuminant:     this.getXyzNumber(offset + 8),
+			surround:       this.getXyzNumber(offset + 20),
+			illuminantType: this.chunk.getUint32(offset + 32),
+		}
+	}
+
+	getS15Fixed16(offset) {
+		return this.chunk.getInt32(offset) / 65536
+	}
+
 	// Multi Localized Unicode Type
 	parseMluc(tagOffset) {
 		let {chunk} = this
@@ -136,6 +239,8 @@ export default class Icc extends AppSegmentParserBase {
 	translateValue(val, tagEnum) {
 		if (typeof val === 'string')
 			return tagEnum[val] || tagEnum[val.toLowerCase()] || val
+		else if (val && val.constructor === Object)
+			return translateFields(val, tagEnum)
 		else
 			return tagEnum[val] || val
 	}
@@ -181,6 +286,15 @@ function parseDate(view, offset) {
 	return new Date(Date.UTC(year, month, day, hours, minutes, seconds))
 }
 
+// Fields of measurement, viewing conditions and chromaticity are translated one by one with sub-dictionaries of the tag.
+function translateFields(val, tagEnum) {
+	let output = Object.assign({}, val)
+	for (let [key, fieldEnum] of Object.entries(tagEnum))
+		if (key in output)
+			output[key] = fieldEnum[output[key]] || output[key]
+	return output
+}
+
 function concatChunks(chunks) {
 	let buffers = chunks.map(s => s.chunk.toUint8())
 	let combined = concatBuffers(buffers)
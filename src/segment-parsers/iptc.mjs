@@ -1,5 +1,6 @@
 import {AppSegmentParserBase} from '../parser.mjs'
 import {segmentParsers} from '../plugins.mjs'
+import {parseImageResources} from '../util/image-resources.mjs'
 
 
 /*
@@ -13,11 +14,12 @@ Resource ID 0x0422 contains Exif data.
 Resource ID 0x0424 contains XMP data.
 */
 
-const HEADER_8    = 0x38
-const HEADER_8BIM = 0x3842494D
-const HEADER_IPTC = 0x0404
 const MARKER = 0xED
 const PHOTOSHOP = 'Photoshop'
+const PHOTOSHOP_HEADER = 'Photoshop 3.0\0'
+const HEADER_8    = 0x38
+const HEADER_8BIM = 0x3842494D
+const IPTC_RESOURCE = 0x0404
 
 export default class Iptc extends AppSegmentParserBase {
 
@@ -27,48 +29,60 @@ export default class Iptc extends AppSegmentParserBase {
 	static reviveValues = false
 
 	// APP13 very complicated and doesn't just simply contain IPTC data.
-	// It is in fact Photoshop format, which contains it's own chunks, each starting with 8BIM header.
-	// IPTC is just one of those chunks and may start several hundreds of bytes into the segment.
-	// IPTC chunk in the format starts with 8BIM followed by 4 4 (0x0404)
+	// It is in fact Photoshop format, which contains it's own chunks (Image Resource Blocks), each starting with 8BIM header.
+	// IPTC is just one of those chunks (0x0404) and may start several hundreds of bytes into the segment.
 	// TLDR: We can't just compare bytes. The chunk has to be traversed.
 	// https://www.adobe.com/devnet-apps/photoshop/fileformatashtml/#50577409_38034
 
+	// NOTE: length here is the raw value of the APPn length bytes (without the 0xFF 0xED marker)
 	static canHandle(file, offset, length) {
-		let isApp13 = file.getUint8(offset + 1) === MARKER
-				   && file.getString(offset + 4, 9) === PHOTOSHOP
-		if (!isApp13) return false
-		let i = this.containsIptc8bim(file, offset, length)
-		return i !== undefined
+		return this.findIptcStart(file, offset, length + 2) !== undefined
 	}
 
 	// WARNING: There can be files with APP13 segment, containing various Photoshop related
 	// data, but no IPTC. We musn't falsely accept these segments as IPTC!
 	static headerLength(chunk, offset, length) {
-		let nameHeaderLength
-		let i = this.containsIptc8bim(chunk, offset, length)
-		if (i !== undefined) {
-			// Get the length of the name header (which is padded to an even number of bytes)
-			nameHeaderLength = chunk.getUint8(offset + i + 7)
-			if (nameHeaderLength % 2 !== 0) nameHeaderLength += 1
-			// Check for pre photoshop 6 format
-			if (nameHeaderLength === 0) nameHeaderLength = 4
-			return i + 8 + nameHeaderLength
+		let start = this.findIptcStart(chunk, offset, length)
+		if (start !== undefined) return start - offset
+	}
+
+	// Returns offset where the data of IPTC resource start.
+	static findIptcStart(chunk, offset, length) {
+		let isApp13 = chunk.getUint8(offset + 1) === MARKER
+				   && chunk.getString(offset + 4, PHOTOSHOP.length) === PHOTOSHOP
+		if (!isApp13) return
+		if (chunk.getString(offset + 4, PHOTOSHOP_HEADER.length) === PHOTOSHOP_HEADER) {
+			let resourcesOffset = offset + 4 + PHOTOSHOP_HEADER.length
+			let resource = parseImageResources(chunk, resourcesOffset, offset + length)
+				.find(resource => resource.id === IPTC_RESOURCE)
+			if (resource !== undefined) return resource.start
 		}
+		// Other header versions, malformed blocks preceding IPTC, or IPTC block that is truncated
+		// (or split into multiple APP13 segments) can't be walked. Look for the block's header byte by byte.
+		return this.scanForIptcStart(chunk, offset, length)
 	}
 
-	static containsIptc8bim(chunk, offset, length) {
-		for (let i = 0; i < length; i++)
-			if (this.isIptcSegmentHead(chunk, offset + i))
-				return i
+	static scanForIptcStart(chunk, offset, length) {
+		let end = Math.min(offset + length, chunk.byteLength) - 8
+		for (let i = offset; i < end; i++) {
+			if (this.isIptcSegmentHead(chunk, i)) {
+				// Get the length of the name header (which is padded to an even number of bytes)
+				let nameHeaderLength = chunk.getUint8(i + 7)
+				if (nameHeaderLength % 2 !== 0) nameHeaderLength += 1
+				// Check for pre photoshop 6 format
+				if (nameHeaderLength === 0) nameHeaderLength = 4
+				return i + 8 + nameHeaderLength
+			}
+		}
 	}
 
 	static isIptcSegmentHead(chunk, offset) {
 		// isIptcSegmentHead is called on each byte while traversing the file.
 		// This could be hundreds of times. We don't want to read the same overlaping range
 		// over and over, so just read the first byte and only then continue.
-		return chunk.getUint8(offset)      === HEADER_8    // 8 - photoshop segment start
-			&& chunk.getUint32(offset)     === HEADER_8BIM // 8BIM - photoshop segment start
-			&& chunk.getUint16(offset + 4) === HEADER_IPTC // IPTC segment head
+		return chunk.getUint8(offset)      === HEADER_8      // 8 - photoshop segment start
+			&& chunk.getUint32(offset)     === HEADER_8BIM   // 8BIM - photoshop segment start
+			&& chunk.getUint16(offset + 4) === IPTC_RESOURCE // IPTC segment head
 	}
 
 	parse() {
@@ -0,0 +1,41 @@
+import {AppSegmentParserBase} from '../parser.mjs'
+import {segmentParsers} from '../plugins.mjs'
+
+
+// JP2 Header (jp2h superbox) of JPEG 2000 files.
+// This parser only reads the Image Header box (ihdr) which is passed in as the chunk.
+export default class Jp2h extends AppSegmentParserBase {
+
+	static type = 'jp2h'
+
+	parse() {
+		this.parseTags()
+		this.translate()
+		return this.output
+	}
+
+	parseTags() {
+		this.raw = new Map([
+			[0,  this.chunk.getUint32(0)],
+			[4,  this.chunk.getUint32(4)],
+			[8,  this.chunk.getUint16(8)],
+			[10, parseBitsPerComponent(this.chunk.getUint8(10))],
+			[11, this.chunk.getUint8(11)],
+			[12, this.chunk.getUint8(12)],
+			[13, this.chunk.getUint8(13)],
+			// Other boxes of the JP2 Header (colr and res) are also parsed by the JP2 file parser
+			// and injected into this.raw map. Here, we're making sure they're included in output.
+			...Array.from(this.raw)
+		])
+	}
+
+}
+
+// Lower 7 bits are bit depth minus one, the highest bit signals signed values.
+// 255 means the components differ in bit depth (and the depths are stored in separate bpcc box).
+function parseBitsPerComponent(byte) {
+	if (byte === 255) return byte
+	return (byte & 0x7f) + 1
+}
+
+segmentParsers.set('jp2h', Jp2h)
\ No newline at end of file
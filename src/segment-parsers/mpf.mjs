@@ -0,0 +1,98 @@
+import {segmentParsers} from '../plugins.mjs'
+import {BufferView} from '../util/BufferView.mjs'
+import {throwError} from '../util/helpers.mjs'
+import {TiffCore} from './tiff-exif.mjs'
+
+
+// Multi-Picture Format (CIPA DC-007), used by MPO files of 3D cameras and by large previews stored after the primary image.
+// https://exiftool.org/TagNames/MPF.html
+// APP2 segment starts with 'MPF\0' followed by TIFF-like header and MP Index IFD.
+
+const MARKER = 0xE2
+const MPF_HEADER = 0x4D504600 // 'MPF\0'
+
+const TAG_MPF_VERSION = 0xB000
+const TAG_NUMBER_OF_IMAGES = 0xB001
+const TAG_MP_ENTRY = 0xB002
+
+// Each MP Entry is 16 bytes long: attributes (4B), size (4B), offset (4B) and two dependent image entry numbers (2B each)
+const MP_ENTRY_SIZE = 16
+
+const DEPENDENT_PARENT = 0x80000000
+const DEPENDENT_CHILD  = 0x40000000
+const REPRESENTATIVE   = 0x20000000
+
+export default class Mpf extends TiffCore {
+
+	static type = 'mpf'
+	static headerLength = 8
+
+	static canHandle(file, offset) {
+		return file.getUint8(offset + 1) === MARKER
+			&& file.getUint32(offset + 4) === MPF_HEADER
+	}
+
+	parse() {
+		this.parseHeader()
+		this.parseIndexIfd()
+		this.translate()
+		return this.output
+	}
+
+	parseIndexIfd() {
+		let ifdOffset = this.chunk.getUint32(4)
+		if (ifdOffset + this.entryCountSize > this.chunk.byteLength)
+			throwError('Malformed MPF data')
+		this.raw = this.parseTags(ifdOffset, 'mpf')
+		let version = this.raw.get(TAG_MPF_VERSION)
+		if (version instanceof Uint8Array)
+			this.raw.set(TAG_MPF_VERSION, String.fromCharCode(...version))
+		let entries = this.raw.get(TAG_MP_ENTRY)
+		if (entries instanceof Uint8Array)
+			this.raw.set(TAG_MP_ENTRY, this.parseEntries(entries))
+	}
+
+	// Offsets of images are relative to the MP header (the TIFF-like header in this segment).
+	// Offset of the first (primary) image is always 0 because it starts at the beginning of the file.
+	parseEntries(u8arr) {
+		let view = new BufferView(u8arr)
+		let entries = []
+		for (let offset = 0; offset + MP_ENTRY_SIZE <= view.byteLength; offset += MP_ENTRY_SIZE) {
+			let attributes = view.getUint32(offset, this.le)
+			entries.push({
+				MPImageType:                attributes & 0x00FFFFFF,
+				MPImageFormat:              (attributes >>> 24) & 0x07,
+				DependentParentImage:       (attributes & DEPENDENT_PARENT) !== 0,
+				DependentChildImage:        (attributes & DEPENDENT_CHILD) !== 0,
+				RepresentativeImage:        (attributes & REPRESENTATIVE) !== 0,
+				MPImageLength:              view.getUint32(offset + 4, this.le),
+				MPImageStart:               view.getUint32(offset + 8, this.le),
+				DependentImage1EntryNumber: view.getUint16(offset + 12, this.le),
+				DependentImage2EntryNumber: view.getUint16(offset + 14, this.le),
+			})
+		}
+		return entries
+	}
+
+	// MP Entries are not tags, their values are translated one by one with sub-dictionaries of the MPEntry tag.
+	translateValue(val, tagEnum) {
+		if (!Array.isArray(val)) return super.translateValue(val, tagEnum)
+		return val.map(entry => Object.assign({}, entry, {
+			MPImageType:   super.translateValue(entry.MPImageType,   tagEnum.MPImageType),
+			MPImageFormat: super.translateValue(entry.MPImageFormat, tagEnum.MPImageFormat),
+		}))
+	}
+
+	// Returns position of each image in the file. Segment start is where the MP header lies.
+	getImagePositions(segmentStart) {
+		let entries = this.raw.get(TAG_MP_ENTRY)
+		if (!Array.isArray(entries)) return []
+		return entries.map(({MPImageStart, MPImageLength}) => ({
+			offset: MPImageStart === 0 ? 0 : segmentStart + MPImageStart,
+			length: MPImageLength,
+		}))
+	}
+
+}
+
+segmentParsers.set('mpf', Mpf)
\ No newline at end of file
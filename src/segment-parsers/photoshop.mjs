@@ -0,0 +1,216 @@
+import {AppSegmentParserBase} from '../parser.mjs'
+import {segmentParsers} from '../plugins.mjs'
+import {throwError, undefinedIfEmpty} from '../util/helpers.mjs'
+import {parseImageResources, getThumbnailData, THUMBNAIL_RESOURCE} from '../util/image-resources.mjs'
+
+
+// https://www.adobe.com/devnet-apps/photoshop/fileformatashtml/#50577409_38034
+// https://exiftool.org/TagNames/Photoshop.html
+
+const MARKER = 0xED
+const PHOTOSHOP_HEADER = 'Photoshop 3.0\0'
+
+const RESOLUTION_INFO = 0x03ED
+const JPEG_QUALITY    = 0x0406
+const COPYRIGHT_FLAG  = 0x040A
+const URL             = 0x040B
+const SLICES          = 0x041A
+const LAYER_COMPS     = 0x0429
+
+// Version of descriptor structure that precedes descriptors in resources.
+const DESCRIPTOR_VERSION = 16
+
+// APP13 segment of JPEG, but unlike Iptc parser which only picks the IPTC block (0x0404),
+// this one decodes the other Image Resource Blocks. PSD file parser passes in its image resources section.
+export default class Photoshop extends AppSegmentParserBase {
+
+	static type = 'photoshop'
+
+	static headerLength = 4 + PHOTOSHOP_HEADER.length
+
+	static canHandle(file, offset) {
+		return file.getUint8(offset + 1) === MARKER
+			&& file.getString(offset + 4, PHOTOSHOP_HEADER.length) === PHOTOSHOP_HEADER
+	}
+
+	parse() {
+		this.parseTags()
+		this.translate()
+		// APP13 segment may contain nothing but IPTC block.
+		return undefinedIfEmpty(this.output)
+	}
+
+	parseTags() {
+		for (let resource of parseImageResources(this.chunk)) {
+			try {
+				this.parseResource(resource)
+			} catch (err) {
+				this.handleError(err)
+			}
+		}
+	}
+
+	parseResource(resource) {
+		let {chunk, raw} = this
+		let {id, start, size} = resource
+		switch (id) {
+			case RESOLUTION_INFO:
+				// horizontal and vertical resolution is 16.16 fixed point number, each followed by two units
+				raw.set('XResolution',     chunk.getUint32(start) / 0x10000)
+				raw.set('DisplayedUnitsX', chunk.getUint16(start + 4))
+				raw.set('YResolution',     chunk.getUint32(start + 8) / 0x10000)
+				raw.set('DisplayedUnitsY', chunk.getUint16(start + 12))
+				break
+			case JPEG_QUALITY:
+				// quality is stored as -4 to 8 (as in the Save As dialog 0 to 12)
+				raw.set('PhotoshopQuality', chunk.getInt16(start) + 4)
+				raw.set('PhotoshopFormat',  chunk.getUint16(start + 2))
+				raw.set('ProgressiveScans', chunk.getUint16(start + 4))
+				break
+			case COPYRIGHT_FLAG:
+				raw.set('CopyrightFlag', chunk.getUint8(start) !== 0)
+				break
+			case URL:
+				raw.set('URL', chunk.getString(start, size))
+				break
+			case SLICES:
+				this.parseSlices(start)
+				break
+			case LAYER_COMPS:
+				this.parseLayerComps(start)
+				break
+			case THUMBNAIL_RESOURCE:
+				raw.set('PhotoshopThumbnail', getThumbnailData(chunk, resource))
+				break
+		}
+	}
+
+	// Version 6 has fixed structure. Version 7 and 8 store everything in a descriptor.
+	parseSlices(offset) {
+		let {chunk, raw} = this
+		let version = chunk.getUint32(offset)
+		if (version === 6) {
+			// bounding rectangle (top, left, bottom, right) precedes the name
+			let reader = new DescriptorReader(chunk, offset + 4 + 16)
+			raw.set('SlicesGroupName', reader.readUnicodeString())
+			raw.set('NumSlices', reader.readUint32())
+		} else {
+			let descriptor = readVersionedDescriptor(chunk, offset + 4)
+			if (descriptor === undefined) return
+			raw.set('SlicesGroupName', descriptor.baseName)
+			if (descriptor.slices) raw.set('NumSlices', descriptor.slices.length)
+		}
+	}
+
+	parseLayerComps(offset) {
+		let descriptor = readVersionedDescriptor(this.chunk, offset)
+		if (descriptor === undefined || descriptor.list === undefined) return
+		let names = descriptor.list.map(comp => comp['Nm'])
+		this.raw.set('LayerComps', names)
+	}
+
+}
+
+function readVersionedDescriptor(chunk, offset) {
+	if (chunk.getUint32(offset) !== DESCRIPTOR_VERSION) return
+	return new DescriptorReader(chunk, offset + 4).readDescriptor()
+}
+
+// Action Descriptor is Photoshop's generic key-value structure.
+// Keys and values are converted to plain JS object. Trailing spaces are removed from 4 character IDs ('Nm  ' => 'Nm').
+class DescriptorReader {
+
+	constructor(chunk, offset) {
+		this.chunk = chunk
+		this.offset = offset
+	}
+
+	readUint32() {
+		let value = this.chunk.getUint32(this.offset)
+		this.offset += 4
+		return value
+	}
+
+	readUnicodeString() {
+		let length = this.readUint32()
+		let codes = []
+		for (let i = 0; i < length; i++)
+			codes.push(this.chunk.getUint16(this.offset + i * 2))
+		this.offset += length * 2
+		return String.fromCharCode(...codes).replace(/\0+$/, '')
+	}
+
+	// Either a string (when length is specified) or 4 character ID.
+	readId() {
+		let length = this.readUint32() || 4
+		let id = this.chunk.getLatin1String(this.offset, length)
+		this.offset += length
+		return id.trim()
+	}
+
+	readDescriptor() {
+		this.readUnicodeString() // name
+		this.readId() // class ID
+		let count = this.readUint32()
+		let object = {}
+		while (count--) {
+			let key = this.readId()
+			object[key] = this.readValue()
+		}
+		return object
+	}
+
+	readValue() {
+		let {chunk} = this
+		let type = chunk.getLatin1String(this.offset, 4)
+		this.offset += 4
+		let value
+		switch (type) {
+			case 'Objc':
+			case 'GlbO':
+				return this.readDescriptor()
+			case 'VlLs':
+				return Array.from({length: this.readUint32()}, () => this.readValue())
+			case 'TEXT':
+				return this.readUnicodeString()
+			case 'long':
+				value = chunk.getInt32(this.offset)
+				this.offset += 4
+				return value
+			case 'doub':
+				value = chunk.getFloat64(this.offset)
+				this.offset += 8
+				return value
+			case 'UntF':
+				value = chunk.getFloat64(this.offset + 4)
+				this.offset += 12
+				return value
+			case 'bool':
+				value = chunk.getUint8(this.offset) !== 0
+				this.offset += 1
+				return value
+			case 'enum':
+				this.readId() // type
+				return this.readId()
+			case 'type':
+			case 'GlbC':
+				this.readUnicodeString()
+				return this.readId()
+			case 'comp':
+				value = chunk.getUint32(this.offset) * 0x100000000 + chunk.getUint32(this.offset + 4)
+				this.offset += 8
+				return value
+			case 'alis':
+			case 'tdta':
+				value = this.readUint32()
+				this.offset += value
+				return undefined
+			default:
+				// References (obj) and other rare types. The rest of the descriptor can't be read.
+				throwError(`Unsupported descriptor type '${type}'`)
+		}
+	}
+
+}
+
+segmentParsers.set('photoshop', Photoshop)
\ No newline at end of file
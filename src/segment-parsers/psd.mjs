@@ -0,0 +1,31 @@
+import {AppSegmentParserBase} from '../parser.mjs'
+import {segmentParsers} from '../plugins.mjs'
+
+
+// PSD (and PSB) file header.
+// Version is 1 for PSD and 2 for PSB (Large Document Format). 6 reserved bytes follow the version.
+export default class Psd extends AppSegmentParserBase {
+
+	static type = 'psd'
+
+	parse() {
+		this.parseTags()
+		this.translate()
+		return this.output
+	}
+
+	parseTags() {
+		let {chunk} = this
+		this.raw = new Map([
+			[4,  chunk.getUint16(4)],
+			[12, chunk.getUint16(12)],
+			[14, chunk.getUint32(14)],
+			[18, chunk.getUint32(18)],
+			[22, chunk.getUint16(22)],
+			[24, chunk.getUint16(24)],
+		])
+	}
+
+}
+
+segmentParsers.set('psd', Psd)
\ No newline at end of file
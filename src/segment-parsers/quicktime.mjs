@@ -0,0 +1,183 @@
+import {AppSegmentParserBase} from '../parser.mjs'
+import {segmentParsers} from '../plugins.mjs'
+// mvhd version 1 and 64bit integers in ilst
+import '../util/BufferView-get64.mjs'
+
+
+// ilst data box type indicators (well-known types)
+const TYPE_UTF8    = 1
+const TYPE_INT     = 21
+const TYPE_UINT    = 22
+const TYPE_FLOAT32 = 23
+const TYPE_FLOAT64 = 24
+
+const MVHD = 'mvhd'
+const UDTA = 'udta'
+const META = 'meta'
+
+// mvhd tags are numbered by indexes of ExifTool's QuickTime MovieHeader table
+const TAG_CREATE_DATE = 1
+const TAG_MODIFY_DATE = 2
+const TAG_DURATION    = 4
+
+// Metadata of QuickTime (.mov) and MP4 videos.
+// The chunk is made of the metadata boxes from moov (mvhd, udta and meta), trak and other boxes are left out.
+// - mvhd (movie header) has creation and modification date and duration.
+// - udta (user data) has text boxes like ©xyz (location), ©mak (make), ©mod (model).
+// - meta contains list of keys (keys) and list of their values (ilst). Or just the ilst with iTunes-style boxes.
+// https://developer.apple.com/library/archive/documentation/QuickTime/QTFF/Metadata/Metadata.html
+export default class QuickTime extends AppSegmentParserBase {
+
+	static type = 'quicktime'
+
+	parse() {
+		this.parseTags()
+		this.translate()
+		return this.output
+	}
+
+	parseTags() {
+		for (let box of parseBoxes(this.chunk, 0, this.chunk.byteLength)) {
+			if (box.kind === MVHD) this.parseMvhd(box)
+			if (box.kind === UDTA) this.parseUdta(box)
+			if (box.kind === META) this.parseMeta(box)
+		}
+		let coordinates = this.raw.get(TAG_XYZ) || this.raw.get(TAG_ISO6709)
+		if (coordinates) {
+			let location = parseIso6709(coordinates)
+			if (location) {
+				this.raw.set('latitude',  location.latitude)
+				this.raw.set('longitude', location.longitude)
+			}
+		}
+	}
+
+	// Dates are stored as seconds since midnight, January 1, 1904 (UTC).
+	parseMvhd(box) {
+		let {chunk, raw} = this
+		let version = chunk.getUint8(box.start)
+		let offset = box.start + 4
+		let timeSize = version === 1 ? 8 : 4
+		// zero means the date is not set
+		let created  = chunk.getUintBytes(offset, timeSize)
+		let modified = chunk.getUintBytes(offset + timeSize, timeSize)
+		if (created  > 0) raw.set(TAG_CREATE_DATE, created)
+		if (modified > 0) raw.set(TAG_MODIFY_DATE, modified)
+		let timeScale = chunk.getUint32(offset + timeSize * 2)
+		let duration  = chunk.getUintBytes(offset + timeSize * 2 + 4, timeSize)
+		if (timeScale > 0) raw.set(TAG_DURATION, duration / timeScale)
+	}
+
+	// International text boxes (©xyz, ©mak, ...): 2 bytes length, 2 bytes language code and the text.
+	parseUdta(box) {
+		let {chunk, raw} = this
+		for (let {kind, start} of parseBoxes(chunk, box.start, box.end)) {
+			if (kind.charCodeAt(0) !== 0xA9) continue
+			let length = chunk.getUint16(start)
+			raw.set(kind, chunk.getString(start + 4, length))
+		}
+	}
+
+	parseMeta(box) {
+		let {chunk} = this
+		// QuickTime meta box is regular box, but MP4 (ISO) meta is full box (has 4 bytes of version and flags).
+		let start = chunk.getString(box.start + 4, 4) === 'hdlr' ? box.start : box.start + 4
+		let boxes = parseBoxes(chunk, start, box.end)
+		let keysBox = boxes.find(box => box.kind === 'keys')
+		let ilst    = boxes.find(box => box.kind === 'ilst')
+		if (ilst === undefined) return
+		let keys = keysBox ? this.parseKeys(keysBox) : undefined
+		for (let item of parseBoxes(chunk, ilst.start, ilst.end)) {
+			// Items of ilst are indexed (from 1) into keys box. Or named boxes if there's no keys box (iTunes-style).
+			let key = keys ? keys[chunk.getUint32(item.offset + 4) - 1] : item.kind
+			let data = parseBoxes(chunk, item.start, item.end).find(box => box.kind === 'data')
+			if (key === undefined || data === undefined) continue
+			let value = this.parseData(data)
+			if (value !== undefined) this.raw.set(key, value)
+		}
+	}
+
+	// Full box with entry count followed by the entries: 4 bytes size, 4 bytes namespace ('mdta') and the key.
+	parseKeys(box) {
+		let {chunk} = this
+		let count = chunk.getUint32(box.start + 4)
+		let offset = box.start + 8
+		let keys = []
+		while (count--) {
+			let size = chunk.getUint32(offset)
+			keys.push(chunk.getString(offset + 8, size - 8))
+			offset += size
+		}
+		return keys
+	}
+
+	// 4 bytes type indicator, 4 bytes locale and the value.
+	parseData(box) {
+		let {chunk} = this
+		let type = chunk.getUint32(box.start) & 0xFFFFFF
+		let offset = box.start + 8
+		let length = box.end - offset
+		switch (type) {
+			case TYPE_UTF8:    return chunk.getString(offset, length)
+			case TYPE_INT:     return getIntBytes(chunk, offset, length)
+			case TYPE_UINT:    return chunk.getUintBytes(offset, length)
+			case TYPE_FLOAT32: return chunk.getFloat(offset)
+			case TYPE_FLOAT64: return chunk.getDouble(offset)
+		}
+	}
+
+}
+
+const TAG_XYZ     = '©xyz'
+const TAG_ISO6709 = 'com.apple.quicktime.location.ISO6709'
+
+function getIntBytes(chunk, offset, bytes) {
+	switch (bytes) {
+		case 1: return chunk.getInt8(offset)
+		case 2: return chunk.getInt16(offset)
+		case 4: return chunk.getInt32(offset)
+		case 8: return chunk.getInt64(offset)
+	}
+}
+
+function parseBoxes(chunk, offset, end) {
+	let boxes = []
+	while (offset + 8 <= end) {
+		let length = chunk.getUint32(offset)
+		let kind   = chunk.getLatin1String(offset + 4, 4)
+		if (length < 8 || offset + length > end) break
+		boxes.push({kind, offset, start: offset + 8, end: offset + length})
+		offset += length
+	}
+	return boxes
+}
+
+// ISO 6709 location string, e.g. '+50.2996+014.8203+252.000/'.
+// Integer part of latitude has 2 (degrees), 4 (and minutes) or 6 (and seconds) digits. Longitude has one more.
+function parseIso6709(string) {
+	let match = string.match(/^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)/)
+	if (match === null) return
+	return {
+		latitude:  parseIso6709Coordinate(match[1], 2),
+		longitude: parseIso6709Coordinate(match[2], 3),
+	}
+}
+
+function parseIso6709Coordinate(string, degreeDigits) {
+	let sign = string[0] === '-' ? -1 : 1
+	let [integer, fraction = ''] = string.slice(1).split('.')
+	let digits = integer.length - degreeDigits
+	let number = Number(integer + '.' + fraction)
+	let degrees = number
+	if (digits === 2) {
+		let degreesPart = Math.floor(number / 100)
+		degrees = degreesPart + (number - degreesPart * 100) / 60
+	} else if (digits === 4) {
+		let degreesPart = Math.floor(number / 10000)
+		let minutesPart = Math.floor(number / 100) - degreesPart * 100
+		degrees = degreesPart + minutesPart / 60 + (number - degreesPart * 10000 - minutesPart * 100) / 3600
+	}
+	return sign * degrees
+}
+
+segmentParsers.set('quicktime', QuickTime)
\ No newline at end of file
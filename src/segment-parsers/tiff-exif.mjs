@@ -1,11 +1,16 @@
 import {AppSegmentParserBase} from '../parser.mjs'
 import {segmentParsers} from '../plugins.mjs'
-import {TAG_IFD_EXIF, TAG_IFD_GPS, TAG_IFD_INTEROP, TAG_MAKERNOTE, TAG_USERCOMMENT, TAG_XMP, TAG_IPTC, TAG_ICC} from '../tags.mjs'
+import {TAG_IFD_EXIF, TAG_IFD_GPS, TAG_IFD_INTEROP, TAG_IFD_SUBIFDS, TAG_MAKERNOTE, TAG_USERCOMMENT, TAG_XMP, TAG_IPTC, TAG_ICC} from '../tags.mjs'
 import {TAG_GPS_LATREF, TAG_GPS_LAT, TAG_GPS_LONREF, TAG_GPS_LON} from '../tags.mjs'
+import {TAG_IMAGE_WIDTH, TAG_IMAGE_HEIGHT} from '../tags.mjs'
+import {TAG_GEOTIFF_PIXEL_SCALE, TAG_GEOTIFF_TIEPOINT, TAG_GEOTIFF_TRANSFORMATION} from '../tags.mjs'
+import {TAG_GEOTIFF_DIRECTORY, TAG_GEOTIFF_DOUBLE_PARAMS, TAG_GEOTIFF_ASCII_PARAMS} from '../tags.mjs'
 import {TIFF_LITTLE_ENDIAN, TIFF_BIG_ENDIAN} from '../util/helpers.mjs'
 import {isEmpty, normalizeString} from '../util/helpers.mjs'
 import {throwError, estimateMetadataSize} from '../util/helpers.mjs'
-import {tiffBlocks} from '../options.mjs'
+import {tiffBlocks, geotiffTags} from '../options.mjs'
+// BigTIFF uses 64b counts and offsets
+import '../util/BufferView-get64.mjs'
 
 
 const MALFORMED = 'Malformed EXIF data'
@@ -13,6 +18,9 @@ const MALFORMED = 'Malformed EXIF data'
 const THUMB_OFFSET = 0x0201
 const THUMB_LENGTH = 0x0202
 
+const GEOKEY_RASTER_TYPE = 1025 // GTRasterTypeGeoKey
+const RASTER_PIXEL_IS_POINT = 2
+
 const BYTE      = 1
 const ASCII     = 2
 const SHORT     = 3
@@ -26,6 +34,12 @@ const SRATIONAL = 10
 const FLOAT     = 11
 const DOUBLE    = 12
 const IFD       = 13
+// BigTIFF
+const LONG8     = 16
+const SLONG8    = 17
+const IFD8      = 18
+
+const TIFF_VERSION_BIGTIFF = 0x002B
 
 const SIZE_LOOKUP = [
 	undefined, // nothing at index 0
@@ -42,7 +56,12 @@ const SIZE_LOOKUP = [
 	4, // FLOAT,    - 32-bit IEEE floating point
 	8, // DOUBLE    - 64-bit IEEE floating point
 	// https://sno.phy.queensu.ca/~phil/exiftool/standards.html
-	4 // IFD (sometimes used instead of 4 LONG)
+	4, // IFD (sometimes used instead of 4 LONG)
+	undefined, // nothing at index 14
+	undefined, // nothing at index 15
+	8, // LONG8     - 64-bit unsigned integer (BigTIFF)
+	8, // SLONG8    - 64-bit signed integer (BigTIFF)
+	8, // IFD8      - 64-bit unsigned IFD offset (BigTIFF)
 ]
 
 function getTypedArray(type) {
@@ -67,8 +86,15 @@ function getTypedArray(type) {
 // jpg wraps tiff into app1 segment.
 export class TiffCore extends AppSegmentParserBase {
 
-	// TODO: future API
-	//tagsOutsideChunk = []
+	// Tags with values that lie outside of the chunk that's been read so far (in chunked mode).
+	// These are read later (see readTagsOutsideChunk()) once the missing part of the file is read.
+	tagsOutsideChunk = []
+
+	// Sizes of the IFD structures. BigTIFF uses 8 bytes for entry count, value count and offsets.
+	bigTiff = false
+	entryCountSize = 2
+	entrySize = 12
+	inlineValueSize = 4
 
 	parseHeader() {
 		// Detect endian 11th byte of TIFF (1st after header)
@@ -80,6 +106,12 @@ export class TiffCore extends AppSegmentParserBase {
 //		else
 //			throwError('Invalid EXIF data: expected byte order marker (0x4949 or 0x4D4D).')
 		this.chunk.le = this.le
+		if (this.chunk.getUint16(2) === TIFF_VERSION_BIGTIFF) {
+			this.bigTiff = true
+			this.entryCountSize = 8
+			this.entrySize = 20
+			this.inlineValueSize = 8
+		}
 /*
 		// Bytes 8 & 9 are expected to be 00 2A.
 		if (this.chunk.getUint16(2) !== 0x002A)
@@ -93,8 +125,9 @@ export class TiffCore extends AppSegmentParserBase {
 		pick = new Set(pick) // clone data from options because we will modify it here
 		let onlyPick = pick.size > 0
 		let nothingToSkip = skip.size === 0
-		let entriesCount = this.chunk.getUint16(offset)
-		offset += 2
+		let {entrySize} = this
+		let entriesCount = this.getEntriesCount(offset)
+		offset += this.entryCountSize
 		for (let i = 0; i < entriesCount; i++) {
 			let tag = this.chunk.getUint16(offset)
 			if (onlyPick) {
@@ -108,29 +141,81 @@ export class TiffCore extends AppSegmentParserBase {
 				// We're not limiting what tags to pick. Also this tag is not on a blacklist.
 				block.set(tag, this.parseTag(offset, tag, blockKey))
 			}
-			offset += 12
+			offset += entrySize
 		}
+		// Values outside of the chunk can only be read later in .tif files read in chunks. Otherwise they're outside of the file.
+		if (!this.canReadOutsideChunk) this.dropTagsOutsideChunk(block)
 		return block
 	}
 
+	// Only .tif files read in chunks can be extended. TIFF in JPEG (or any other format) is a subarray of its segment.
+	get canReadOutsideChunk() {
+		return this.chunk === this.file && this.file.chunked
+	}
+
+	isValueInChunk(offset, length) {
+		if (this.canReadOutsideChunk)
+			return this.chunk.available(offset, length)
+		else
+			return offset + length <= this.chunk.byteLength
+	}
+
+	// Reads the parts of file with values of tags that were outside of the chunk when the block was parsed.
+	// Tag with value outside of the file is dropped (and the error noted) but the rest of the block is kept.
+	async readTagsOutsideChunk(block) {
+		let {tagsOutsideChunk} = this
+		while (tagsOutsideChunk.length > 0) {
+			let entry = tagsOutsideChunk.shift()
+			let {tag, blockKey, entryOffset, offset, totalSize} = entry
+			await this.file.ensureChunk(offset, totalSize)
+			if (this.isValueInChunk(offset, totalSize))
+				block.set(tag, this.parseTag(entryOffset, tag, blockKey))
+			else
+				this.dropTag(block, entry)
+		}
+	}
+
+	dropTagsOutsideChunk(block) {
+		let {tagsOutsideChunk} = this
+		while (tagsOutsideChunk.length > 0)
+			this.dropTag(block, tagsOutsideChunk.shift())
+	}
+
+	dropTag(block, {tag, blockKey, offset}) {
+		block.delete(tag)
+		this.errors.push(`Invalid TIFF value offset. block: ${blockKey.toUpperCase()}, tag: ${tag.toString(16)}, offset ${offset} is outside of file`)
+	}
+
+	getEntriesCount(offset) {
+		return this.bigTiff ? this.chunk.getUint64(offset) : this.chunk.getUint16(offset)
+	}
+
+	// Reads pointer (offset) to IFD or tag value.
+	getOffset(offset) {
+		return this.bigTiff ? this.chunk.getUint64(offset) : this.chunk.getUint32(offset)
+	}
+
 	parseTag(offset, tag, blockKey) {
 		let {chunk} = this
+		let entryOffset = offset
 		let type       = chunk.getUint16(offset + 2)
-		let valueCount = chunk.getUint32(offset + 4)
+		let valueCount = this.bigTiff ? chunk.getUint64(offset + 4) : chunk.getUint32(offset + 4)
 		let valueSize = SIZE_LOOKUP[type]
 		let totalSize = valueSize * valueCount
-		if (totalSize <= 4)
-			offset = offset + 8
+		let valueOffset = offset + (this.bigTiff ? 12 : 8)
+		if (totalSize <= this.inlineValueSize)
+			offset = valueOffset
 		else
-			offset = chunk.getUint32(offset + 8)
+			offset = this.getOffset(valueOffset)
 
-		if (type < BYTE || type > IFD)
+		if (type < BYTE || type > IFD8 || valueSize === undefined)
 			throwError(`Invalid TIFF value type. block: ${blockKey.toUpperCase()}, tag: ${tag.toString(16)}, type: ${type}, offset ${offset}`)
 
-		if (offset > chunk.byteLength) {
-			// TODO: future API
-			//this.tagsOutsideChunk.push({tag, offset, type, valueCount, valueSize, totalSize})
-			throwError(`Invalid TIFF value offset. block: ${blockKey.toUpperCase()}, tag: ${tag.toString(16)}, type: ${type}, offset ${offset} is outside of chunk size ${chunk.byteLength}`)
+		if (!this.isValueInChunk(offset, totalSize)) {
+			// Value will be read after the chunk is extended (or dropped if it's outside of the file).
+			// Placeholder undefined is stored in the block till then.
+			this.tagsOutsideChunk.push({tag, blockKey, entryOffset, offset, totalSize})
+			return
 		}
 
 		if (type === BYTE) // type 1
@@ -175,7 +260,10 @@ export class TiffCore extends AppSegmentParserBase {
 			case SRATIONAL: return chunk.getInt32(offset) / chunk.getInt32(offset + 4)
 			case FLOAT    : return chunk.getFloat(offset)
 			case DOUBLE   : return chunk.getDouble(offset)
-			case 13: return chunk.getUint32(offset)
+			case IFD      : return chunk.getUint32(offset)
+			case LONG8    : return chunk.getUint64(offset)
+			case SLONG8   : return chunk.getInt64(offset)
+			case IFD8     : return chunk.getUint64(offset)
 			default: throwError(`Invalid tiff type ${type}`)
 		}
 	}
@@ -184,6 +272,9 @@ export class TiffCore extends AppSegmentParserBase {
 
 
 
+// Pointers to other blocks and segments. Not useful to the user.
+const IFD0_POINTERS = [TAG_IFD_EXIF, TAG_IFD_INTEROP, TAG_IFD_GPS, TAG_IFD_SUBIFDS, TAG_XMP, TAG_IPTC, TAG_ICC]
+
 const TAG_FILESOURCE = 0xa300
 const TAG_SCENETYPE  = 0xa301
 
@@ -229,6 +320,10 @@ export class TiffExif extends TiffCore {
 		if (options.gps.enabled)     await this.safeParse('parseGpsBlock')       // APP1 - GPS IFD
 		if (options.interop.enabled) await this.safeParse('parseInteropBlock')   // APP1 - Interop IFD
 		if (options.ifd1.enabled)    await this.safeParse('parseThumbnailBlock') // APP1 - IFD1
+		if (options.subIfds.enabled) await this.safeParse('parseSubIfdsBlock')   // SubIFDs (RAW files)
+		if (options.pages)           await this.safeParse('parsePages')          // IFD0, IFD1, IFD2, ... (multi-page TIFF)
+		if (options.geotiff.enabled) await this.safeParse('parseGeoTiffBlock')   // GeoKeys from IFD0
+		if (options.geotiff.enabled && options.ifd0.onlyDeps) this.removeGeoTiffTags()
 		return this.createOutput()
 		//return this.output
 	}
@@ -243,23 +338,24 @@ export class TiffExif extends TiffCore {
 
 	findIfd0Offset() {
 		if (this.ifd0Offset === undefined)
-			this.ifd0Offset = this.chunk.getUint32(4)
+			this.ifd0Offset = this.getOffset(this.bigTiff ? 8 : 4)
 	}
 
 	findIfd1Offset() {
 		if (this.ifd1Offset === undefined) {
 			this.findIfd0Offset()
-			let ifd0Entries = this.chunk.getUint16(this.ifd0Offset)
-			let temp = this.ifd0Offset + 2 + (ifd0Entries * 12)
+			let ifd0Entries = this.getEntriesCount(this.ifd0Offset)
+			let temp = this.ifd0Offset + this.entryCountSize + (ifd0Entries * this.entrySize)
 			// IFD1 offset is number of bytes from start of TIFF header where thumbnail info is.
-			this.ifd1Offset = this.chunk.getUint32(temp)
+			this.ifd1Offset = this.getOffset(temp)
 		}
 	}
 
-	parseBlock(offset, blockKey) {
+	async parseBlock(offset, blockKey) {
 		let block = new Map
 		this[blockKey] = block
 		this.parseTags(offset, blockKey, block)
+		await this.readTagsOutsideChunk(block)
 		return block
 	}
 
@@ -277,26 +373,21 @@ export class TiffExif extends TiffCore {
 		if (file.tiff)
 			await file.ensureChunk(this.ifd0Offset, estimateMetadataSize(this.options))
 		// Parse IFD0 block.
-		let ifd0 = this.parseBlock(this.ifd0Offset, 'ifd0')
+		let ifd0 = await this.parseBlock(this.ifd0Offset, 'ifd0')
 		// Cancel if the ifd0 is empty (imaged created from scratch in photoshop).
 		if (ifd0.size === 0) return
 		// Store offsets of other blocks in the TIFF segment.
 		this.exifOffset    = ifd0.get(TAG_IFD_EXIF)
 		this.interopOffset = ifd0.get(TAG_IFD_INTEROP)
 		this.gpsOffset     = ifd0.get(TAG_IFD_GPS)
+		this.subIfdOffsets = ifd0.get(TAG_IFD_SUBIFDS)
 		this.xmp           = ifd0.get(TAG_XMP)
 		this.iptc          = ifd0.get(TAG_IPTC)
 		this.icc           = ifd0.get(TAG_ICC)
 		//this.photoshop     = ifd0.get(0x8649)
 		// IFD0 segment also contains offset pointers to another segments deeper within the EXIF.
-		if (this.options.sanitize) {
-			ifd0.delete(TAG_IFD_EXIF)
-			ifd0.delete(TAG_IFD_INTEROP)
-			ifd0.delete(TAG_IFD_GPS)
-			ifd0.delete(TAG_XMP)
-			ifd0.delete(TAG_IPTC)
-			ifd0.delete(TAG_ICC)
-		}
+		if (this.options.sanitize)
+			for (let tag of IFD0_POINTERS) ifd0.delete(tag)
 		return ifd0
 	}
 
@@ -308,7 +399,7 @@ export class TiffExif extends TiffCore {
 		if (this.exifOffset === undefined) return
 		if (this.file.tiff)
 			await this.file.ensureChunk(this.exifOffset, estimateMetadataSize(this.options))
-		let exif = this.parseBlock(this.exifOffset, 'exif')
+		let exif = await this.parseBlock(this.exifOffset, 'exif')
 		if (!this.interopOffset) this.interopOffset = exif.get(TAG_IFD_INTEROP)
 		this.makerNote   = exif.get(TAG_MAKERNOTE)
 		this.userComment = exif.get(TAG_USERCOMMENT)
@@ -334,7 +425,7 @@ export class TiffExif extends TiffCore {
 		if (this.gps) return
 		if (!this.ifd0) await this.parseIfd0Block()
 		if (this.gpsOffset === undefined) return
-		let gps = this.parseBlock(this.gpsOffset, 'gps')
+		let gps = await this.parseBlock(this.gpsOffset, 'gps')
 		if (gps && gps.has(TAG_GPS_LAT) && gps.has(TAG_GPS_LON)) {
 			// TODO: assign this to this.translated or this.output when blocks are broken down to separate classes
 			//gps.latitude  = ConvertDMSToDD(...gps.get(TAG_GPS_LAT), gps.get(TAG_GPS_LATREF))
@@ -355,6 +446,122 @@ export class TiffExif extends TiffCore {
 		return this.parseBlock(this.interopOffset, 'interop')
 	}
 
+	// SubIFDs of IFD0 (0x014A)
+	// RAW files (DNG, NEF, ARW, ...) store the full resolution image and previews in SubIFDs.
+	// There can be more of them so the output is an array of blocks (in the order of the pointers).
+	async parseSubIfdsBlock() {
+		if (this.subIfds) return
+		if (!this.ifd0) await this.parseIfd0Block()
+		if (this.subIfdOffsets === undefined) return
+		// the tag holds single offset or an array of offsets
+		let offsets = typeof this.subIfdOffsets === 'number' ? [this.subIfdOffsets] : Array.from(this.subIfdOffsets)
+		let subIfds = []
+		for (let offset of offsets) {
+			if (this.file.tiff)
+				await this.file.ensureChunk(offset, estimateMetadataSize(this.options))
+			let subIfd = this.parseTags(offset, 'subIfds')
+			await this.readTagsOutsideChunk(subIfd)
+			subIfds.push(subIfd)
+		}
+		return this.subIfds = subIfds
+	}
+
+	// GeoTIFF block is not a real IFD. It's decoded from GeoKeyDirectoryTag (0x87AF) of IFD0
+	// which is array of shorts: header (version, revision, minor revision, number of keys) followed by
+	// keys (id, location, count, value or index). Location tells where the value is stored:
+	// 0 (value is stored right in the key), 0x87B0 (GeoDoubleParams) or 0x87B1 (GeoAsciiParams).
+	// http://geotiff.maptools.org/spec/geotiff2.4.html
+	async parseGeoTiffBlock() {
+		if (this.geotiff) return
+		if (!this.ifd0) await this.parseIfd0Block()
+		if (this.ifd0 === undefined) return
+		let directory = this.ifd0.get(TAG_GEOTIFF_DIRECTORY)
+		if (directory === undefined) return
+		let doubles = this.ifd0.get(TAG_GEOTIFF_DOUBLE_PARAMS)
+		let ascii   = this.ifd0.get(TAG_GEOTIFF_ASCII_PARAMS)
+		let {pick, skip} = this.options.geotiff
+		let geotiff = new Map
+		let keyCount = directory[3]
+		let rasterType
+		for (let i = 4; i < 4 + keyCount * 4; i += 4) {
+			let [key, location, count, value] = directory.slice(i, i + 4)
+			if (key === GEOKEY_RASTER_TYPE) rasterType = value
+			if (pick.size > 0 ? !pick.has(key) : skip.has(key)) continue
+			if (location === TAG_GEOTIFF_DOUBLE_PARAMS && doubles !== undefined)
+				value = count === 1 ? getNth(doubles, value) : Array.from(doubles).slice(value, value + count)
+			else if (location === TAG_GEOTIFF_ASCII_PARAMS && ascii !== undefined)
+				value = ascii.slice(value, value + count).replace(/\|$/, '') // values are terminated with '|'
+			else if (location === TAG_GEOTIFF_DIRECTORY)
+				value = Array.from(directory.slice(value, value + count))
+			geotiff.set(key, value)
+		}
+		let boundingBox = this.calculateBoundingBox(rasterType)
+		if (boundingBox) geotiff.set('BoundingBox', boundingBox)
+		return this.geotiff = geotiff
+	}
+
+	// Like the IFD0 pointers, tags only needed for decoding GeoTIFF aren't output if IFD0 itself wasn't requested.
+	removeGeoTiffTags() {
+		if (this.ifd0 === undefined) return
+		for (let tag of geotiffTags) this.ifd0.delete(tag)
+	}
+
+	// Bounding box [minX, minY, maxX, maxY] of the image in model (projected or geographic) coordinates.
+	// Calculated either from the affine transformation matrix or from the first tiepoint and pixel scale.
+	calculateBoundingBox(rasterType) {
+		let {ifd0} = this
+		let width  = ifd0.get(TAG_IMAGE_WIDTH)
+		let height = ifd0.get(TAG_IMAGE_HEIGHT)
+		if (width === undefined || height === undefined) return
+		// PixelIsPoint rasters have the tiepoint in center of the pixel, not its corner.
+		let shift = rasterType === RASTER_PIXEL_IS_POINT ? -0.5 : 0
+		let transformation = ifd0.get(TAG_GEOTIFF_TRANSFORMATION)
+		let tiepoint       = ifd0.get(TAG_GEOTIFF_TIEPOINT)
+		let scale          = ifd0.get(TAG_GEOTIFF_PIXEL_SCALE)
+		let toModel
+		if (transformation && transformation.length >= 16) {
+			let [a, b, , d, e, f, , h] = transformation
+			toModel = (col, row) => [a * col + b * row + d, e * col + f * row + h]
+		} else if (tiepoint && tiepoint.length >= 6 && scale && scale.length >= 2) {
+			let [i, j, , x, y] = tiepoint
+			let [sx, sy] = scale
+			toModel = (col, row) => [x + (col - i) * sx, y - (row - j) * sy]
+		} else {
+			return
+		}
+		let corners = [[0, 0], [width, 0], [0, height], [width, height]]
+			.map(([col, row]) => toModel(col + shift, row + shift))
+		let xs = corners.map(corner => corner[0])
+		let ys = corners.map(corner => corner[1])
+		return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+	}
+
+	// Multi-page TIFF files (faxes, scans, image stacks) link the pages through next-IFD offset
+	// at the end of each IFD. Each page is parsed like IFD0 (with its pick/skip/translate options).
+	async parsePages() {
+		if (this.pages) return
+		let {chunk} = this
+		let pages = []
+		let visited = new Set
+		this.findIfd0Offset()
+		let offset = this.ifd0Offset
+		// offset 0 marks the end of the chain. Already visited offset would mean we're in a loop.
+		while (offset > 0 && !visited.has(offset)) {
+			visited.add(offset)
+			if (this.file.tiff)
+				await this.file.ensureChunk(offset, estimateMetadataSize(this.options))
+			if (offset >= chunk.byteLength) break
+			let page = this.parseTags(offset, 'ifd0')
+			await this.readTagsOutsideChunk(page)
+			if (this.options.sanitize)
+				for (let tag of IFD0_POINTERS) page.delete(tag)
+			pages.push(page)
+			let entriesCount = this.getEntriesCount(offset)
+			offset = this.getOffset(offset + this.entryCountSize + entriesCount * this.entrySize)
+		}
+		return this.pages = pages
+	}
+
 	// THUMBNAIL block of TIFF of APP1 segment
 	// parsing this block is skipped when mergeOutput is true because thumbnail block contains with the same tags like ifd0 block
 	// and one would override the other. 
@@ -363,7 +570,7 @@ export class TiffExif extends TiffCore {
 		if (this.options.mergeOutput && !force) return
 		this.findIfd1Offset()
 		if (this.ifd1Offset > 0) {
-			this.parseBlock(this.ifd1Offset, 'ifd1')
+			await this.parseBlock(this.ifd1Offset, 'ifd1')
 			this.ifd1Parsed = true
 		}
 		return this.ifd1
@@ -389,10 +596,17 @@ export class TiffExif extends TiffCore {
 		for (blockKey of tiffBlocks) {
 			block = this[blockKey]
 			if (isEmpty(block)) continue
-			if (this.canTranslate)
-				blockOutput = this.translateBlock(block, blockKey)
-			else
-				blockOutput = Object.fromEntries(block)
+			if (blockKey === 'subIfds') {
+				// Array of blocks with the same tags can't be merged. It's always kept as separate property.
+				tiff.subIfds = block.map(subIfd => this.createBlockOutput(subIfd, blockKey))
+				continue
+			}
+			if (blockKey === 'geotiff') {
+				// GeoKeys and BoundingBox aren't TIFF tags. Merging them into root could overwrite tags of the same name.
+				tiff.geotiff = this.createBlockOutput(block, blockKey)
+				continue
+			}
+			blockOutput = this.createBlockOutput(block, blockKey)
 			if (this.options.mergeOutput) {
 				// NOTE: Not assigning thumbnail because it contains the same tags as ifd0.
 				if (blockKey === 'ifd1') continue
@@ -403,9 +617,17 @@ export class TiffExif extends TiffCore {
 		}
 		if (this.makerNote)   tiff.makerNote   = this.makerNote
 		if (this.userComment) tiff.userComment = this.userComment
+		if (this.pages)       tiff.pages       = this.pages.map(page => this.createBlockOutput(page, 'ifd0'))
 		return tiff
 	}
 
+	createBlockOutput(block, blockKey) {
+		if (this.canTranslate)
+			return this.translateBlock(block, blockKey)
+		else
+			return Object.fromEntries(block)
+	}
+
 	assignToOutput(root, tiff) {
 		if (this.globalOptions.mergeOutput) {
 			// xmp contains only properties
@@ -418,6 +640,11 @@ export class TiffExif extends TiffCore {
 
 }
 
+// GeoDoubleParams with single value is returned as number, not array.
+function getNth(value, index) {
+	return typeof value === 'number' ? value : value[index]
+}
+
 function ConvertDMSToDD(degrees, minutes, seconds, direction) {
 	var dd = degrees + (minutes / 60) + (seconds / (60*60))
 	if (direction === 'S' || direction === 'W') dd *= -1
@@ -0,0 +1,86 @@
+import {AppSegmentParserBase} from '../parser.mjs'
+import {segmentParsers} from '../plugins.mjs'
+
+
+// VP8X feature flags
+const FLAG_ANIMATION = 0x02
+const FLAG_ALPHA     = 0x10
+
+// Raw tag ids. Not offsets, because VP8X, VP8 and VP8L headers each have different layout.
+const TAG_IMAGE_WIDTH  = 0
+const TAG_IMAGE_HEIGHT = 1
+const TAG_ALPHA        = 2
+const TAG_ANIMATION    = 3
+export const TAG_COMPRESSION = 4
+
+// Image info from the first chunk of WebP file (including the chunk header).
+// VP8X (extended format) contains the canvas size and feature flags.
+// Simple files start directly with VP8 (lossy) or VP8L (lossless) bitstream which has the size in its own header.
+export default class Webp extends AppSegmentParserBase {
+
+	static type = 'webp'
+
+	parse() {
+		this.parseTags()
+		this.translate()
+		return this.output
+	}
+
+	parseTags() {
+		let type = this.chunk.getString(0, 4)
+		let tags
+		if (type === 'VP8X')
+			tags = this.parseVp8x()
+		else if (type === 'VP8 ')
+			tags = this.parseVp8()
+		else if (type === 'VP8L')
+			tags = this.parseVp8l()
+		this.raw = new Map([
+			...tags,
+			// Compression of the extended files is determined and injected by the WebP file parser.
+			...Array.from(this.raw)
+		])
+	}
+
+	// Canvas width and height are stored as 24bit numbers minus one.
+	parseVp8x() {
+		let {chunk} = this
+		let flags = chunk.getUint8(8)
+		return [
+			[TAG_IMAGE_WIDTH,  getUint24(chunk, 12) + 1],
+			[TAG_IMAGE_HEIGHT, getUint24(chunk, 15) + 1],
+			[TAG_ALPHA,        (flags & FLAG_ALPHA) !== 0],
+			[TAG_ANIMATION,    (flags & FLAG_ANIMATION) !== 0],
+		]
+	}
+
+	// 3 bytes frame tag, 3 bytes start code (9D 01 2A) and then 14bit width and height (upper 2 bits are scale).
+	parseVp8() {
+		let {chunk} = this
+		return [
+			[TAG_IMAGE_WIDTH,  chunk.getUint16(14, true) & 0x3fff],
+			[TAG_IMAGE_HEIGHT, chunk.getUint16(16, true) & 0x3fff],
+			[TAG_COMPRESSION,  'VP8 '],
+		]
+	}
+
+	// 1 byte signature (2F) followed by 14bit width, 14bit height (both minus one) and 1 bit alpha hint.
+	parseVp8l() {
+		let bits = this.chunk.getUint32(9, true)
+		return [
+			[TAG_IMAGE_WIDTH,  (bits & 0x3fff) + 1],
+			[TAG_IMAGE_HEIGHT, ((bits >> 14) & 0x3fff) + 1],
+			[TAG_ALPHA,        ((bits >> 28) & 1) === 1],
+			[TAG_COMPRESSION,  'VP8L'],
+		]
+	}
+
+}
+
+function getUint24(chunk, offset) {
+	return chunk.getUint8(offset)
+		| chunk.getUint8(offset + 1) << 8
+		| chunk.getUint8(offset + 2) << 16
+}
+
+segmentParsers.set('webp', Webp)
\ No newline at end of file
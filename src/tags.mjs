@@ -47,6 +47,7 @@ export const TAG_ICC         = 0x8773
 export const TAG_IFD_EXIF      = 0x8769
 export const TAG_IFD_GPS       = 0x8825
 export const TAG_IFD_INTEROP   = 0xA005
+export const TAG_IFD_SUBIFDS   = 0x014A
 
 export const TAG_GPS_LATREF = 0x0001
 export const TAG_GPS_LAT    = 0x0002
@@ -54,3 +55,13 @@ export const TAG_GPS_LONREF = 0x0003
 export const TAG_GPS_LON    = 0x0004
 
 export const TAG_ORIENTATION = 0x0112
+
+export const TAG_IMAGE_WIDTH  = 0x0100
+export const TAG_IMAGE_HEIGHT = 0x0101
+
+export const TAG_GEOTIFF_PIXEL_SCALE    = 0x830E
+export const TAG_GEOTIFF_TIEPOINT       = 0x8482
+export const TAG_GEOTIFF_TRANSFORMATION = 0x85D8
+export const TAG_GEOTIFF_DIRECTORY      = 0x87AF
+export const TAG_GEOTIFF_DOUBLE_PARAMS  = 0x87B0
+export const TAG_GEOTIFF_ASCII_PARAMS   = 0x87B1
@@ -4,23 +4,31 @@ import {throwError} from '../util/helpers.mjs'
 
 
 const FULL_20_BITS = 0b11111111111111111111
+const UINT32_RANGE = 0x100000000 // 2^32
 
-BufferView.prototype.getUint64 = function(offset) {
-	let part1 = this.getUint32(offset)
-	let part2 = this.getUint32(offset + 4)
-	if (part1 < FULL_20_BITS) {
+BufferView.prototype.getUint64 = function(offset, le = this.le) {
+	let high = this.getUint32(le ? offset + 4 : offset, le)
+	let low  = this.getUint32(le ? offset : offset + 4, le)
+	if (high < FULL_20_BITS) {
 		// Warning: JS cannot handle 64-bit integers. The number will overflow and cause unexpected result
-		// if the number is larger than 53. We try to handle numbers up to 52 bits. 32+21 = 53 out of which
-		// one bit is needed for sign. Becase js only does 32 unsinged int (through bitwise operators).
-		return (part1 << 32) | part2
-	} else if (typeof BigInt !== undefined) {
+		// if the number is larger than 53. We try to handle numbers up to 52 bits. 32+20 = 52.
+		// Not using bitwise operators because they only work with 32b numbers.
+		return high * UINT32_RANGE + low
+	} else if (typeof BigInt !== 'undefined') {
 		// If the environment supports BigInt we'll try to use it. Though it may break user functionality
 		// (for example can't do mixed math with numbers & bigints)
 		console.warn(`Using BigInt because of type 64uint but JS can only handle 53b numbers.`)
-		return (BigInt(part1) << BigInt(32)) | BigInt(part2)
+		return (BigInt(high) << BigInt(32)) | BigInt(low)
 	} else {
 		// The value (when both 32b parts combined) is larger than 53 bits so we can't just use Number type
 		// and this environment doesn't support BigInt... throw error.
 		throwError(`Trying to read 64b value but JS can only handle 53b numbers.`)
 	}
 }
+
+// Signed counterpart. Only used by BigTIFF for SLONG8 values which rarely (if ever) exceed 53 bits.
+BufferView.prototype.getInt64 = function(offset, le = this.le) {
+	let high = this.getInt32(le ? offset + 4 : offset, le)
+	let low  = this.getUint32(le ? offset : offset + 4, le)
+	return high * UINT32_RANGE + low
+}
\ No newline at end of file
@@ -19,6 +19,17 @@ export function throwError(message) {
 	throw err
 }
 
+export function concatUint8Arrays(arrays) {
+	let length = arrays.reduce((sum, arr) => sum + arr.length, 0)
+	let output = new Uint8Array(length)
+	let offset = 0
+	for (let arr of arrays) {
+		output.set(arr, offset)
+		offset += arr.length
+	}
+	return output
+}
+
 export function removeNullTermination(string) {
 	while (string.endsWith('\0'))
 		string = string.slice(0, -1)
@@ -41,6 +52,7 @@ export function estimateTiffSize(options) {
 	if (options.gps.enabled)     bytes += 512
 	if (options.interop.enabled) bytes += 100
 	if (options.ifd1.enabled)    bytes += 1024
+	if (options.subIfds.enabled) bytes += 1024
 	return bytes + 2048 // issue-exif-js-124.tiff
 }
 
@@ -0,0 +1,56 @@
+// Photoshop Image Resource Blocks (IRB). Used in PSD files, APP13 segment of JPEG and TIFF tag 34377.
+// https://www.adobe.com/devnet-apps/photoshop/fileformatashtml/#50577409_38034
+// Each block consists of:
+// - 4 bytes signature '8BIM' (rarely one of the other Adobe signatures)
+// - 2 bytes resource ID
+// - name as Pascal string, padded to even length (usually empty, i.e. two zero bytes)
+// - 4 bytes size of the data
+// - data, padded to even length
+
+const signatures = [
+	0x3842494D, // 8BIM
+	0x3842363F, // 8B64
+	0x4D655361, // MeSa
+	0x41674867, // AgHg
+	0x50485554, // PHUT
+	0x44435352, // DCSR
+]
+
+const BLOCK_MIN_LENGTH = 12
+
+// Thumbnail resource (0x040C) has 28 bytes header (format, width, height, row bytes, sizes, bits per pixel, planes)
+// followed by JFIF data. Older (Photoshop 4) thumbnails in 0x0409 are stored in BGR order and are ignored.
+export const THUMBNAIL_RESOURCE = 0x040C
+const THUMBNAIL_HEADER_LENGTH = 28
+const THUMBNAIL_FORMAT_JPEG = 1
+
+// Returns list of {id, name, start, size} of the blocks in the given range.
+// Stops at the first invalid or incomplete block.
+// In chunked mode the range may not be fully read yet. Only the block headers need to be in memory, not their data.
+export function parseImageResources(chunk, offset = 0, end = chunk.byteLength) {
+	let resources = []
+	let headersEnd = Math.min(end, chunk.byteLength)
+	while (offset + BLOCK_MIN_LENGTH <= headersEnd) {
+		if (!signatures.includes(chunk.getUint32(offset))) break
+		let id = chunk.getUint16(offset + 4)
+		let nameLength = chunk.getUint8(offset + 6)
+		// length byte + name, padded to even
+		let nameFieldLength = nameLength + 1 + ((nameLength + 1) % 2)
+		let sizeOffset = offset + 6 + nameFieldLength
+		if (sizeOffset + 4 > headersEnd) break
+		let name = chunk.getLatin1String(offset + 7, nameLength)
+		let size = chunk.getUint32(sizeOffset)
+		let start = sizeOffset + 4
+		if (start + size > end) break
+		resources.push({id, name, start, size})
+		offset = start + size + (size % 2)
+	}
+	return resources
+}
+
+// Returns JPEG data of the thumbnail resource (without its header).
+export function getThumbnailData(chunk, {start, size}) {
+	if (size <= THUMBNAIL_HEADER_LENGTH) return
+	if (chunk.getUint32(start) !== THUMBNAIL_FORMAT_JPEG) return
+	return chunk.getUint8Array(start + THUMBNAIL_HEADER_LENGTH, size - THUMBNAIL_HEADER_LENGTH)
+}
\ No newline at end of file
@@ -0,0 +1,248 @@
+import * as platform from './platform.mjs'
+import {throwError, concatUint8Arrays} from './helpers.mjs'
+import dynamicImport from './import.mjs'
+
+
+// Shared by all parsers that need Node.js zlib (inflate, Brotli).
+export let zlibPromise = dynamicImport('zlib')
+
+// Decompresses zlib stream (RFC 1950 wrapped deflate data, as used by PNG).
+// Uses Node.js zlib, then DecompressionStream (modern browsers and workers)
+// and falls back to bundled pure JS implementation.
+export async function inflate(data) {
+	if (platform.node) {
+		let zlib = await zlibPromise
+		if (zlib) return zlib.inflateSync(data)
+	}
+	if (typeof DecompressionStream !== 'undefined')
+		return inflateStream(data)
+	return inflateSync(data)
+}
+
+export async function inflateStream(data) {
+	let stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'))
+	let reader = stream.getReader()
+	let chunks = []
+	while (true) {
+		let {done, value} = await reader.read()
+		if (done) break
+		chunks.push(value)
+	}
+	return concatUint8Arrays(chunks)
+}
+
+// Pure JS inflater. Small and simple (one bit at a time) rather than fast, compressed chunks of images are tiny.
+// https://www.ietf.org/rfc/rfc1951.txt
+export function inflateSync(data) {
+	let cmf = data[0]
+	let flg = data[1]
+	if (data.length < 2 || (cmf & 0x0F) !== 8 || ((cmf << 8) | flg) % 31 !== 0 || flg & 0x20)
+		throwError('Invalid zlib header')
+	let inflater = new Inflater(data, 2)
+	let output = inflater.inflate()
+	let checksumOffset = inflater.offset
+	if (checksumOffset + 4 > data.length)
+		throwError('Missing zlib checksum')
+	let checksum = ((data[checksumOffset] << 24) | (data[checksumOffset + 1] << 16) | (data[checksumOffset + 2] << 8) | data[checksumOffset + 3]) >>> 0
+	if (checksum !== adler32(output))
+		throwError('Invalid zlib checksum')
+	return output
+}
+
+const LENGTH_BASE  = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258]
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0]
+const DIST_BASE    = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577]
+const DIST_EXTRA   = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13]
+// Order in which code lengths of the code length alphabet are stored in dynamic block header.
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15]
+
+const BLOCK_STORED  = 0
+const BLOCK_FIXED   = 1
+const BLOCK_DYNAMIC = 2
+const END_OF_BLOCK  = 256
+
+let fixedTrees
+
+class Inflater {
+
+	bitBuffer = 0
+	bitCount = 0
+	length = 0
+
+	constructor(data, offset) {
+		this.data = data
+		this.offset = offset
+		this.output = new Uint8Array(Math.max(1024, data.length * 4))
+	}
+
+	inflate() {
+		let last
+		do {
+			last = this.bits(1)
+			let type = this.bits(2)
+			if (type === BLOCK_STORED) {
+				this.inflateStored()
+			} else if (type === BLOCK_FIXED) {
+				fixedTrees = fixedTrees || createFixedTrees()
+				this.inflateHuffman(...fixedTrees)
+			} else if (type === BLOCK_DYNAMIC) {
+				this.inflateHuffman(...this.readDynamicTrees())
+			} else {
+				throwError('Invalid deflate block type')
+			}
+		} while (!last)
+		// Unused bits of the last byte are discarded, checksum starts at the next byte boundary.
+		this.bitBuffer = 0
+		this.bitCount = 0
+		return this.output.slice(0, this.length)
+	}
+
+	bits(count) {
+		while (this.bitCount < count) {
+			if (this.offset >= this.data.length) throwError('Unexpected end of deflate data')
+			this.bitBuffer |= this.data[this.offset++] << this.bitCount
+			this.bitCount += 8
+		}
+		let value = this.bitBuffer & ((1 << count) - 1)
+		this.bitBuffer >>>= count
+		this.bitCount -= count
+		return value
+	}
+
+	// Huffman codes are stored MSB first, so the code is walked bit by bit against canonical code counts.
+	decodeSymbol({counts, symbols}) {
+		let code = 0
+		let first = 0
+		let index = 0
+		for (let length = 1; length < 16; length++) {
+			code |= this.bits(1)
+			let count = counts[length]
+			if (code - first < count) return symbols[index + code - first]
+			index += count
+			first += count
+			first <<= 1
+			code <<= 1
+		}
+		throwError('Invalid Huffman code')
+	}
+
+	ensureSpace(size) {
+		if (this.length + size <= this.output.length) return
+		let output = new Uint8Array(Math.max(this.output.length * 2, this.length + size))
+		output.set(this.output)
+		this.output = output
+	}
+
+	inflateStored() {
+		// Stored block is byte aligned. Remaining bits of the current byte are skipped.
+		this.bitBuffer = 0
+		this.bitCount = 0
+		let {data, offset} = this
+		if (offset + 4 > data.length) throwError('Unexpected end of deflate data')
+		let length = data[offset] | (data[offset + 1] << 8)
+		let lengthComplement = data[offset + 2] | (data[offset + 3] << 8)
+		if (length !== (~lengthComplement & 0xFFFF)) throwError('Invalid stored block length')
+		offset += 4
+		if (offset + length > data.length) throwError('Unexpected end of deflate data')
+		this.ensureSpace(length)
+		this.output.set(data.subarray(offset, offset + length), this.length)
+		this.length += length
+		this.offset = offset + length
+	}
+
+	inflateHuffman(literalTree, distanceTree) {
+		while (true) {
+			let symbol = this.decodeSymbol(literalTree)
+			if (symbol === END_OF_BLOCK) return
+			if (symbol < END_OF_BLOCK) {
+				this.ensureSpace(1)
+				this.output[this.length++] = symbol
+				continue
+			}
+			symbol -= 257
+			if (symbol >= LENGTH_BASE.length) throwError('Invalid deflate length code')
+			let length = LENGTH_BASE[symbol] + this.bits(LENGTH_EXTRA[symbol])
+			let distSymbol = this.decodeSymbol(distanceTree)
+			if (distSymbol >= DIST_BASE.length) throwError('Invalid deflate distance code')
+			let distance = DIST_BASE[distSymbol] + this.bits(DIST_EXTRA[distSymbol])
+			if (distance > this.length) throwError('Invalid deflate distance')
+			this.ensureSpace(length)
+			// Byte by byte because the copied range may overlap with the written one.
+			let {output} = this
+			for (let i = 0; i < length; i++, this.length++)
+				output[this.length] = output[this.length - distance]
+		}
+	}
+
+	readDynamicTrees() {
+		let literalCount  = this.bits(5) + 257
+		let distanceCount = this.bits(5) + 1
+		let codeLengthCount = this.bits(4) + 4
+		let codeLengthLengths = new Uint8Array(19)
+		for (let i = 0; i < codeLengthCount; i++)
+			codeLengthLengths[CODE_LENGTH_ORDER[i]] = this.bits(3)
+		let codeLengthTree = buildTree(codeLengthLengths)
+		let lengths = new Uint8Array(literalCount + distanceCount)
+		for (let i = 0; i < lengths.length;) {
+			let symbol = this.decodeSymbol(codeLengthTree)
+			if (symbol < 16) {
+				lengths[i++] = symbol
+				continue
+			}
+			let value = 0
+			let repeat
+			if (symbol === 16) {
+				if (i === 0) throwError('Invalid deflate code lengths')
+				value = lengths[i - 1]
+				repeat = this.bits(2) + 3
+			} else if (symbol === 17) {
+				repeat = this.bits(3) + 3
+			} else {
+				repeat = this.bits(7) + 11
+			}
+			if (i + repeat > lengths.length) throwError('Invalid deflate code lengths')
+			lengths.fill(value, i, i + repeat)
+			i += repeat
+		}
+		return [
+			buildTree(lengths.subarray(0, literalCount)),
+			buildTree(lengths.subarray(literalCount)),
+		]
+	}
+
+}
+
+// Canonical Huffman tree: number of codes of each bit length and symbols sorted by their codes.
+function buildTree(lengths) {
+	let counts = new Uint16Array(16)
+	for (let length of lengths) counts[length]++
+	counts[0] = 0
+	let offsets = new Uint16Array(16)
+	for (let i = 1; i < 16; i++)
+		offsets[i] = offsets[i - 1] + counts[i - 1]
+	let symbols = new Uint16Array(lengths.length)
+	lengths.forEach((length, symbol) => {
+		if (length) symbols[offsets[length]++] = symbol
+	})
+	return {counts, symbols}
+}
+
+function createFixedTrees() {
+	let literalLengths = new Uint8Array(288)
+	literalLengths.fill(8, 0, 144)
+	literalLengths.fill(9, 144, 256)
+	literalLengths.fill(7, 256, 280)
+	literalLengths.fill(8, 280, 288)
+	let distanceLengths = new Uint8Array(30).fill(5)
+	return [buildTree(literalLengths), buildTree(distanceLengths)]
+}
+
+function adler32(data) {
+	let a = 1
+	let b = 0
+	for (let i = 0; i < data.length; i++) {
+		a = (a + data[i]) % 65521
+		b = (b + a) % 65521
+	}
+	return ((b << 16) | a) >>> 0
+}
\ No newline at end of file
@@ -2,6 +2,7 @@ import {promises as fs} from 'fs'
 import {assert} from './test-util-core.mjs'
 import {isNode, getPath} from './test-util-core.mjs'
 import {BufferView} from '../src/util/BufferView.mjs'
+import '../src/util/BufferView-get64.mjs'
 
 
 // Node.js tries to share memory of newly created Buffer instances in shared large ArrayBuffer.
@@ -330,6 +331,44 @@ describe('BufferView', () => {
 		assert.equal(view.getUint8(5), 5)
 	})
 
+	describe(`.getUint64()`, () => {
+
+		let bytes = [0x00, 0x00, 0x00, 0x01, 0x2A, 0x05, 0xF2, 0x00]
+
+		it(`reads big endian by default`, async () => {
+			let view = new BufferView(new Uint8Array(bytes))
+			assert.equal(view.getUint64(0), 5000000000)
+		})
+
+		it(`reads little endian when le argument is true`, async () => {
+			let view = new BufferView(new Uint8Array(bytes.slice().reverse()))
+			assert.equal(view.getUint64(0, true), 5000000000)
+		})
+
+		it(`reads little endian when view.le is true`, async () => {
+			let view = new BufferView(new Uint8Array(bytes.slice().reverse()))
+			view.le = true
+			assert.equal(view.getUint64(0), 5000000000)
+		})
+
+		it(`reads values with high bits set in the lower half`, async () => {
+			let view = new BufferView(new Uint8Array([0x00, 0x00, 0x00, 0x00, 0xFF, 0xFF, 0xFF, 0xFF]))
+			assert.equal(view.getUint64(0), 4294967295)
+		})
+
+	})
+
+	describe(`.getInt64()`, () => {
+
+		it(`reads negative numbers`, async () => {
+			let view = new BufferView(new Uint8Array([0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFE]))
+			assert.equal(view.getInt64(0), -2)
+			view = new BufferView(new Uint8Array([0xFE, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]))
+			assert.equal(view.getInt64(0, true), -2)
+		})
+
+	})
+
 	isNode && it(`Node fs.read can read into sub view & changes propagate to dataview`, async () => {
 		let bytesToRead = 5
 		let view = new BufferView(2 * bytesToRead)
@@ -0,0 +1,41 @@
+import {assert} from './test-util-core.mjs'
+import {getFile} from './test-util-core.mjs'
+import {testSegment, testMergeSegment, testImage} from './test-util-suites.mjs'
+import * as exifr from '../src/bundles/full.mjs'
+
+
+describe('Adobe Segment (APP14)', () => {
+
+	describe('options.adobe enable/disable', () => {
+		testSegment({
+			key: 'adobe',
+			fileWith: 'Bush-dog.jpg',
+			fileWithout: 'noexif.jpg',
+			definedByDefault: false,
+		})
+	})
+
+	testMergeSegment({
+		key: 'adobe',
+		file: 'Bush-dog.jpg',
+		properties: ['DCTEncodeVersion', 'ColorTransform']
+	})
+
+	testImage('adobe', 'cookiezen.jpg', {
+		DCTEncodeVersion: 100,
+		APP14Flags0: 0xC000,
+		APP14Flags1: 0,
+		ColorTransform: 'YCbCr',
+	})
+
+	testImage('adobe', 'issue-metadata-extractor-65.jpg', {
+		ColorTransform: 'YCCK',
+	})
+
+	it(`should output raw ColorTransform when translateValues is disabled`, async () => {
+		let input = await getFile('issue-metadata-extractor-65.jpg')
+		let output = await exifr.parse(input, {adobe: true, mergeOutput: false, translateKeys: false, translateValues: false})
+		assert.equal(output.adobe[6], 2)
+	})
+
+})
\ No newline at end of file
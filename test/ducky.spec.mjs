@@ -0,0 +1,40 @@
+import {assert} from './test-util-core.mjs'
+import {getFile} from './test-util-core.mjs'
+import {testSegment, testMergeSegment, testImage} from './test-util-suites.mjs'
+import * as exifr from '../src/bundles/full.mjs'
+
+
+describe('Ducky Segment (APP12)', () => {
+
+	describe('options.ducky enable/disable', () => {
+		testSegment({
+			key: 'ducky',
+			fileWith: 'jpeg/ducky.jpg',
+			fileWithout: 'noexif.jpg',
+			definedByDefault: false,
+		})
+	})
+
+	testMergeSegment({
+		key: 'ducky',
+		file: 'jpeg/ducky.jpg',
+		properties: ['Quality', 'Comment', 'Copyright']
+	})
+
+	testImage('ducky', 'jpeg/ducky.jpg', {
+		Quality: 60,
+		Comment: 'Saved for web',
+		Copyright: '© 2020 Jane Doe',
+	})
+
+	testImage('ducky', 'cookiezen.jpg', {
+		Quality: 100,
+	})
+
+	it(`should not output strings missing in the segment`, async () => {
+		let output = await exifr.parse(await getFile('cookiezen.jpg'), {ducky: true, mergeOutput: false})
+		assert.isUndefined(output.ducky.Comment)
+		assert.isUndefined(output.ducky.Copyright)
+	})
+
+})
\ No newline at end of file
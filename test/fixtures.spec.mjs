@@ -42,6 +42,9 @@ describe('basic fixture testing', () => {
 	testFile('heic-iphone7.heic', ['ifd0', 'exif', 'gps', 'icc', 'makerNote'])
 	testFile('heic-maybebroken.HEIC', ['ifd0', 'exif', 'gps', 'icc', 'makerNote']) // TODO
 	testFile('heic-single.heic', []) // nothing in the file but it shouldnt fail
+	testFile('heic/exif-extents.heic', ['ifd0', 'exif'])
+	testFile('heic/exif-idat.heic', ['ifd0', 'exif'])
+	testFile('heic/xmp-rotated.heic', ['heif', 'xmp'])
 	testFile('image9_14.jpg', ['jfif'])
 	testFile('img_1771.jpg', ['ifd0', 'exif', 'interop', 'ifd1', 'jfif'])
 	testFile('img_1771_no_exif.jpg', ['jfif'])
@@ -58,6 +61,31 @@ describe('basic fixture testing', () => {
 	testFile('issue-metadata-extractor-152.tif', ['exif', 'xmp'])
 	testFile('issue-metadata-extractor-65.jpg', ['ifd0', 'exif', 'ifd1', 'xmp', 'icc', 'iptc'])
 	testFile('issue-node-exif-58.jpg', ['xmp'])
+	testFile('jp2/47102787.jp2', ['jp2h', 'icc'])
+	testFile('jp2/RESULT-OK_0008.jp2', ['jp2h', 'ifd0', 'exif', 'xmp', 'icc', 'iptc'])
+	testFile('webp/exif-xmp-icc.webp', ['webp', 'ifd0', 'exif', 'gps', 'xmp', 'icc'])
+	testFile('webp/lossless.webp', ['webp'])
+	testFile('cr3/cmt-boxes.cr3', ['ifd0', 'exif', 'gps'])
+	testFile('video/iphone.mov', ['quicktime'])
+	testFile('video/android.mp4', ['quicktime', 'xmp'])
+	testFile('gif/animated-xmp.gif', ['gif', 'xmp'])
+	testFile('gif/static-87a.gif', ['gif'])
+	testFile('jxl/exif-xmp.jxl', ['ifd0', 'exif', 'xmp'])
+	testFile('jxl/brob.jxl', ['ifd0', 'exif', 'xmp'])
+	testFile('psd/rgb.psd', ['psd', 'ifd0', 'exif', 'xmp', 'icc', 'iptc'])
+	testFile('psd/cmyk-16bit.psb', ['psd', 'iptc'])
+	testFile('psd/rgb-resources.psd', ['psd', 'ifd0', 'exif', 'xmp', 'icc', 'iptc', 'photoshop'])
+	testFile('photoshop/app13-resources.jpg', ['jfif', 'photoshop', 'iptc'])
+	testFile('photoshop/app13-no-iptc.jpg', ['jfif', 'photoshop'])
+	testFile('mpo/stereo.mpo', ['jfif', 'mpf'])
+	testFile('mpo/large-preview.jpg', ['jfif', 'mpf'])
+	testFile('jpeg/comments.jpg', ['jfif', 'jpeg'])
+	testFile('jpeg/ducky.jpg', ['jfif', 'ducky'])
+	testFile('png/apng-ancillary.png', ['ihdr'])
+	testFile('png/compressed-text.png', ['ihdr', 'xmp'])
+	testFile('png/imagemagick-raw-profiles.png', ['ihdr', 'ifd0', 'gps', 'iptc'])
+	testFile('png/metadata-after-idat.png', ['ihdr', 'ifd0', 'exif', 'gps', 'xmp'])
+	testFile('cookiezen.jpg', ['xmp', 'adobe', 'ducky'])
 	testFile('noexif.jpg', ['jfif'])
 	testFile('tif-with-iptc-icc-xmp.tif', ['ifd0', 'exif', 'xmp', 'icc', 'iptc'])
 })
\ No newline at end of file
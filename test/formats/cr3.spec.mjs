@@ -0,0 +1,77 @@
+import {assert} from '../test-util-core.mjs'
+import {getFile, getPath} from '../test-util-core.mjs'
+import * as exifr from '../../src/bundles/full.mjs'
+
+
+describe('CR3 - Cr3FileParser', () => {
+
+	const file = 'cr3/cmt-boxes.cr3'
+
+	it(`should read IFD0 from CMT1 box`, async () => {
+		let input = await getFile(file)
+		let output = await exifr.parse(input, {mergeOutput: false})
+		assert.equal(output.ifd0.Make, 'Canon')
+		assert.equal(output.ifd0.Model, 'Canon EOS R5')
+		assert.equal(output.ifd0.Artist, 'Jane Doe')
+	})
+
+	it(`should read EXIF from CMT2 box`, async () => {
+		let input = await getFile(file)
+		let output = await exifr.parse(input, {mergeOutput: false})
+		assert.equal(output.exif.ISO, 400)
+		assert.equal(output.exif.FNumber, 5.6)
+		assert.equal(output.exif.LensModel, 'RF24-105mm F4 L IS USM')
+	})
+
+	it(`should read Interop from CMT2 box`, async () => {
+		let input = await getFile(file)
+		let output = await exifr.parse(input, {mergeOutput: false, interop: true})
+		assert.equal(output.interop.InteropIndex, 'R98')
+	})
+
+	it(`should read GPS from CMT4 box (with different byte order)`, async () => {
+		let input = await getFile(file)
+		let output = await exifr.parse(input, {mergeOutput: false})
+		assert.equal(output.gps.GPSLatitudeRef, 'N')
+		assert.equal(output.gps.latitude, 50.086761111111116)
+		assert.equal(output.gps.longitude, 14.424999999999999)
+	})
+
+	it(`should read MakerNote from CMT3 box when {makerNote: true}`, async () => {
+		let input = await getFile(file)
+		let output = await exifr.parse(input, {makerNote: true})
+		assert.instanceOf(output.makerNote, Uint8Array)
+		assert.equal(output.makerNote.length, 76)
+	})
+
+	it(`should not read MakerNote by default`, async () => {
+		let input = await getFile(file)
+		let output = await exifr.parse(input)
+		assert.isUndefined(output.makerNote)
+	})
+
+	it(`should only pick requested tags from all CMT boxes`, async () => {
+		let input = await getFile(file)
+		let output = await exifr.parse(input, ['Model', 'ISO', 'GPSLatitude'])
+		assert.deepEqual(Object.keys(output), ['Model', 'ISO', 'GPSLatitude'])
+	})
+
+	it(`should read all blocks in chunked mode`, async () => {
+		let input = getPath(file)
+		let output = await exifr.parse(input, {firstChunkSize: 64, chunkSize: 64, chunkLimit: 20})
+		assert.equal(output.Make, 'Canon')
+		assert.equal(output.ISO, 400)
+		assert.equal(output.GPSLatitudeRef, 'N')
+	})
+
+	it(`gps() works with CR3`, async () => {
+		let output = await exifr.gps(getPath(file))
+		assert.equal(output.latitude, 50.086761111111116)
+	})
+
+	it(`orientation() works with CR3`, async () => {
+		let output = await exifr.orientation(getPath(file))
+		assert.equal(output, 1)
+	})
+
+})
\ No newline at end of file
@@ -0,0 +1,99 @@
+import {assert} from '../test-util-core.mjs'
+import {getFile, getPath} from '../test-util-core.mjs'
+import * as exifr from '../../src/bundles/full.mjs'
+import {testSegment, testMergeSegment, testImage} from '../test-util-suites.mjs'
+
+
+describe('GIF - GifFileParser', () => {
+
+	const options = {xmp: true, mergeOutput: false}
+
+	describe('GIF Segment (Logical Screen Descriptor)', () => {
+
+		describe('options.gif enable/disable', () => {
+			testSegment({
+				key: 'gif',
+				fileWith: 'gif/static-87a.gif',
+				definedByDefault: true,
+			})
+		})
+
+		testMergeSegment({
+			key: 'gif',
+			file: 'gif/animated-xmp.gif',
+			properties: ['ImageWidth', 'ImageHeight', 'FrameCount', 'LoopCount']
+		})
+
+		testImage('gif', 'gif/animated-xmp.gif', {
+			GIFVersion: '89a',
+			ImageWidth: 120,
+			ImageHeight: 80,
+			HasColorMap: true,
+			BitsPerPixel: 8,
+			FrameCount: 3,
+			LoopCount: 0,
+		})
+
+		testImage('gif', 'gif/static-87a.gif', {
+			GIFVersion: '87a',
+			ImageWidth: 1,
+			ImageHeight: 1,
+			BitsPerPixel: 1,
+			FrameCount: 1,
+		})
+
+		it(`should output header offsets as keys with translateKeys: false`, async () => {
+			let output = await exifr.parse(await getFile('gif/animated-xmp.gif'), {mergeOutput: false, translateKeys: false})
+			assert.equal(output.gif[3], '89a')
+			assert.equal(output.gif[6], 120)
+			assert.equal(output.gif[10.3], 8)
+		})
+
+	})
+
+	it(`should not output LoopCount without NETSCAPE2.0 extension`, async () => {
+		let output = await exifr.parse(await getFile('gif/static-87a.gif'), options)
+		assert.isUndefined(output.gif.LoopCount)
+	})
+
+	it(`should collect Comment Extension blocks`, async () => {
+		let output = await exifr.parse(await getFile('gif/animated-xmp.gif'), options)
+		let comments = output.gif.Comment.split('\n')
+		assert.lengthOf(comments, 2)
+		assert.equal(comments[0], 'Created with GIMP')
+		// second comment is longer than a single sub-block (255 bytes)
+		assert.isAbove(comments[1].length, 255)
+		assert.isTrue(comments[1].startsWith('second comment, long long'))
+	})
+
+	it(`should extract XMP from 'XMP DataXMP' application extension`, async () => {
+		let output = await exifr.parse(await getFile('gif/animated-xmp.gif'), options)
+		assert.equal(output.xmp.CreatorTool, 'Adobe Photoshop CC 2019 (Windows)')
+	})
+
+	it(`should not extract XMP if disabled`, async () => {
+		let output = await exifr.parse(await getFile('gif/animated-xmp.gif'), {...options, xmp: false})
+		assert.isUndefined(output.xmp)
+	})
+
+	it(`should walk the blocks in chunked mode`, async () => {
+		let input = await getFile('gif/animated-xmp.gif')
+		let output = await exifr.parse(input, {...options, chunked: true, firstChunkSize: 20, chunkSize: 50})
+		assert.equal(output.gif.FrameCount, 3)
+		assert.equal(output.gif.Comment.split('\n')[0], 'Created with GIMP')
+		assert.equal(output.xmp.CreatorTool, 'Adobe Photoshop CC 2019 (Windows)')
+	})
+
+	it(`should read file in chunks`, async () => {
+		let output = await exifr.parse(getPath('gif/animated-xmp.gif'), {...options, chunked: true, firstChunkSize: 20, chunkSize: 500, chunkLimit: 100})
+		assert.equal(output.gif.FrameCount, 3)
+		assert.equal(output.xmp.CreatorTool, 'Adobe Photoshop CC 2019 (Windows)')
+	})
+
+	it(`should not read more chunks than chunkLimit`, async () => {
+		let output = await exifr.parse(getPath('gif/animated-xmp.gif'), {...options, chunked: true, firstChunkSize: 20, chunkSize: 500, chunkLimit: 2})
+		assert.equal(output.gif.ImageWidth, 120)
+		assert.isUndefined(output.xmp)
+	})
+
+})
\ No newline at end of file
@@ -1,5 +1,5 @@
 import {assert} from '../test-util-core.mjs'
-import {getFile} from '../test-util-core.mjs'
+import {getFile, getPath, isNode} from '../test-util-core.mjs'
 import * as exifr from '../../src/bundles/full.mjs'
 
 
@@ -66,4 +66,101 @@ describe('HEIC - HeicFileParser', () => {
 		assert.equal(output.icc[40].toLowerCase(), 'appl') // PrimaryPlatform
 	})
 
+})
+
+describe('HEIC - item location (iloc)', () => {
+
+	const options = {mergeOutput: false}
+
+	async function testExif(fileName) {
+		let output = await exifr.parse(await getFile(fileName), options)
+		assert.equal(output.ifd0.Make, 'samsung')
+		assert.equal(output.ifd0.Model, 'SM-G991B')
+		assert.equal(output.exif.ExposureTime, 1 / 120)
+	}
+
+	it(`reassembles EXIF item split into multiple extents`, async () => {
+		await testExif('heic/exif-extents.heic')
+	})
+
+	it(`reads EXIF item stored in idat box (construction_method 1)`, async () => {
+		await testExif('heic/exif-idat.heic')
+	})
+
+	it(`reads EXIF item at base_offset`, async () => {
+		await testExif('heic/exif-base-offset.heic')
+	})
+
+	isNode && it(`reassembles EXIF item split into multiple extents in chunked mode`, async () => {
+		let output = await exifr.parse(getPath('heic/exif-extents.heic'), {...options, chunked: true})
+		assert.equal(output.ifd0.Model, 'SM-G991B')
+	})
+
+})
+
+describe('HEIC - XMP item', () => {
+
+	it(`extracts XMP from mime item when {xmp: true}`, async () => {
+		let output = await exifr.parse(await getFile('heic/xmp-rotated.heic'), {mergeOutput: false, xmp: true})
+		assert.equal(output.xmp.CreatorTool, 'libheif')
+		assert.equal(output.xmp.Rating, 4)
+		assert.equal(output.dc.title.value, 'Harbour at dusk')
+	})
+
+	it(`does not extract XMP by default`, async () => {
+		let output = await exifr.parse(await getFile('heic/xmp-rotated.heic'), {mergeOutput: false, heif: true})
+		assert.isObject(output.heif)
+		assert.isUndefined(output.xmp)
+	})
+
+})
+
+
+describe('HEIC - heif block (image properties)', () => {
+
+	const options = {mergeOutput: false, heif: true}
+
+	it(`output.heif is undefined by default`, async () => {
+		let output = await exifr.parse(await getFile('heic-iphone.heic'), {mergeOutput: false})
+		assert.isUndefined(output.heif)
+	})
+
+	it(`output.heif is object when {heif: true}`, async () => {
+		let output = await exifr.parse(await getFile('heic-iphone.heic'), options)
+		assert.isObject(output.heif)
+	})
+
+	it(`contains size of the primary image from ispe`, async () => {
+		let output = await exifr.parse(await getFile('heic-iphone.heic'), options)
+		assert.equal(output.heif.ImageWidth, 4032)
+		assert.equal(output.heif.ImageHeight, 3024)
+	})
+
+	it(`contains rotation from irot`, async () => {
+		let output = await exifr.parse(await getFile('heic/xmp-rotated.heic'), options)
+		assert.equal(output.heif.Rotation, 270)
+	})
+
+	it(`contains mirroring from imir`, async () => {
+		let output = await exifr.parse(await getFile('heic/xmp-rotated.heic'), options)
+		assert.equal(output.heif.MirrorAxis, 'Horizontal')
+	})
+
+	it(`contains bit depth from pixi`, async () => {
+		let output = await exifr.parse(await getFile('heic/xmp-rotated.heic'), options)
+		assert.deepEqual(output.heif.BitsPerChannel, [10, 10, 10])
+	})
+
+	it(`is extracted from AVIF`, async () => {
+		let output = await exifr.parse(await getFile('avif/Irvine_CA.avif'), options)
+		assert.equal(output.heif.ImageWidth, 480)
+		assert.equal(output.heif.ImageHeight, 640)
+	})
+
+	it(`is merged into output`, async () => {
+		let output = await exifr.parse(await getFile('heic/xmp-rotated.heic'), {heif: true})
+		assert.equal(output.ImageWidth, 4032)
+		assert.equal(output.Rotation, 270)
+	})
+
 })
\ No newline at end of file
@@ -0,0 +1,87 @@
+import {assert} from '../test-util-core.mjs'
+import {getFile, getPath} from '../test-util-core.mjs'
+import * as exifr from '../../src/bundles/full.mjs'
+import {testSegment, testMergeSegment, testImage} from '../test-util-suites.mjs'
+
+
+describe('JP2 - Jp2FileParser', () => {
+
+	const options = {tiff: true, xmp: true, iptc: true, icc: true, mergeOutput: false}
+
+	describe('JP2H Segment (JP2 Header box)', () => {
+
+		describe('options.jp2h enable/disable', () => {
+			testSegment({
+				key: 'jp2h',
+				fileWith: 'jp2/47102787.jp2',
+				definedByDefault: true,
+			})
+		})
+
+		testMergeSegment({
+			key: 'jp2h',
+			file: 'jp2/47102787.jp2',
+			properties: ['ImageWidth', 'ImageHeight', 'BitsPerComponent']
+		})
+
+		testImage('jp2h', 'jp2/RESULT-OK_0008.jp2', {
+			ImageWidth: 320,
+			ImageHeight: 211,
+			NumberOfComponents: 3,
+			BitsPerComponent: 8,
+			Compression: 'JPEG 2000', // warning: translated value
+			CaptureXResolution: 11811,
+			CaptureYResolution: 11811,
+		})
+
+	})
+
+	it(`should extract ICC from colr box`, async () => {
+		let input = await getFile('jp2/47102787.jp2')
+		let output = await exifr.parse(input, options)
+		assert.exists(output.icc, 'output should contain ICC')
+		assert.equal(output.icc.ProfileFileSignature, 'acsp')
+		assert.equal(output.icc.ProfileDescription, 'ColorSpin')
+	})
+
+	it(`should not find TIFF, XMP nor IPTC in file without uuid boxes`, async () => {
+		let input = await getFile('jp2/47102787.jp2')
+		let output = await exifr.parse(input, options)
+		assert.isUndefined(output.ifd0)
+		assert.isUndefined(output.xmp)
+		assert.isUndefined(output.iptc)
+	})
+
+	it(`should extract TIFF from JpgTiffExif->JP2 uuid box`, async () => {
+		let input = await getFile('jp2/RESULT-OK_0008.jp2')
+		let output = await exifr.parse(input, options)
+		assert.exists(output.ifd0, 'output should contain IFD0')
+		assert.equal(output.ifd0.Make, 'NIKON CORPORATION')
+		assert.equal(output.ifd0.Model, 'NIKON D2X')
+	})
+
+	it(`should extract XMP from XMP uuid box`, async () => {
+		let input = await getFile('jp2/RESULT-OK_0008.jp2')
+		let output = await exifr.parse(input, options)
+		assert.exists(output.aux, 'output should contain XMP aux namespace')
+		assert.equal(output.aux.Lens, '70-200mm f/2.8')
+	})
+
+	it(`should extract IPTC from IPTC uuid box`, async () => {
+		let input = await getFile('jp2/RESULT-OK_0008.jp2')
+		let output = await exifr.parse(input, options)
+		assert.exists(output.iptc, 'output should contain IPTC')
+		assert.equal(output.iptc.Byline, 'Jason P. Odell')
+	})
+
+	it(`should extract all segments in chunked mode`, async () => {
+		let input = getPath('jp2/RESULT-OK_0008.jp2')
+		let output = await exifr.parse(input, options)
+		assert.exists(output.jp2h, 'output should contain JP2H')
+		assert.exists(output.icc,  'output should contain ICC')
+		assert.exists(output.ifd0, 'output should contain IFD0')
+		assert.exists(output.iptc, 'output should contain IPTC')
+		assert.exists(output.dc,   'output should contain XMP')
+	})
+
+})
\ No newline at end of file
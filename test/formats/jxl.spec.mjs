@@ -0,0 +1,78 @@
+import {assert} from '../test-util-core.mjs'
+import {getFile, isNode} from '../test-util-core.mjs'
+import * as exifr from '../../src/bundles/full.mjs'
+
+
+describe('JXL - JxlFileParser', () => {
+
+	const options = {tiff: true, xmp: true, mergeOutput: false}
+
+	// signature box + brob box with 'Exif' type followed by data that isn't valid Brotli stream
+	function createBrokenBrob() {
+		let signature = [0, 0, 0, 12, 0x4A, 0x58, 0x4C, 0x20, 0x0D, 0x0A, 0x87, 0x0A]
+		let brob = [0, 0, 0, 20, 0x62, 0x72, 0x6F, 0x62, 0x45, 0x78, 0x69, 0x66, 1, 2, 3, 4, 5, 6, 7, 8]
+		return new Uint8Array([...signature, ...brob])
+	}
+
+	it(`should extract TIFF from Exif box`, async () => {
+		let output = await exifr.parse(await getFile('jxl/exif-xmp.jxl'), options)
+		assert.equal(output.ifd0.Make, 'FUJIFILM')
+		assert.equal(output.ifd0.Model, 'X-T4')
+		assert.equal(output.exif.ISO, 160)
+	})
+
+	it(`should extract XMP from xml box`, async () => {
+		let output = await exifr.parse(await getFile('jxl/exif-xmp.jxl'), options)
+		assert.equal(output.xmp.CreatorTool, 'cjxl v0.8.1')
+	})
+
+	it(`should not extract XMP if disabled`, async () => {
+		let output = await exifr.parse(await getFile('jxl/exif-xmp.jxl'), {...options, xmp: false})
+		assert.isUndefined(output.xmp)
+	})
+
+	isNode && it(`should skip TIFF header offset in Exif box`, async () => {
+		// the Exif box of brob.jxl is prefixed with 'Exif\0\0' and its offset is 6
+		let output = await exifr.parse(await getFile('jxl/brob.jxl'), options)
+		assert.equal(output.ifd0.Make, 'FUJIFILM')
+	})
+
+	it(`should read metadata boxes after the codestream in chunked mode`, async () => {
+		let output = await exifr.parse(await getFile('jxl/exif-xmp.jxl'), {...options, chunked: true, firstChunkSize: 100, chunkSize: 100})
+		assert.equal(output.ifd0.Make, 'FUJIFILM')
+		assert.equal(output.xmp.CreatorTool, 'cjxl v0.8.1')
+	})
+
+	describe('brob (Brotli compressed) boxes', () => {
+
+		isNode && it(`should decompress Exif and xml boxes`, async () => {
+			let output = await exifr.parse(await getFile('jxl/brob.jxl'), options)
+			assert.equal(output.exif.ISO, 160)
+			assert.equal(output.xmp.CreatorTool, 'cjxl v0.8.1')
+		})
+
+		isNode && it(`should put decompression error into output.errors with silentErrors: true`, async () => {
+			let output = await exifr.parse(createBrokenBrob(), {...options, silentErrors: true})
+			assert.lengthOf(output.errors, 1)
+			assert.isString(output.errors[0])
+		})
+
+		isNode && it(`should throw decompression error with silentErrors: false`, async () => {
+			let thrown = false
+			try {
+				await exifr.parse(createBrokenBrob(), {...options, silentErrors: false})
+			} catch(err) {
+				assert.instanceOf(err, Error)
+				thrown = true
+			}
+			assert.isTrue(thrown)
+		})
+
+		it(`should not decompress brob box if the segment is disabled`, async () => {
+			let output = await exifr.parse(createBrokenBrob(), {...options, tiff: false, silentErrors: false})
+			assert.isUndefined(output)
+		})
+
+	})
+
+})
\ No newline at end of file
@@ -36,6 +36,18 @@ describe('parser core', () => {
 			await exifr.parse(await getFile('issue-exif-js-124.tiff'))
 		})
 
+		it(`accepts BigTIFF`, async () => {
+			await exifr.parse(await getFile('bigtiff/bigtiff-le.tif'))
+		})
+
+		it(`accepts ORF`, async () => {
+			await exifr.parse(await getFile('raw/olympus-iiro.orf'))
+		})
+
+		it(`accepts RW2`, async () => {
+			await exifr.parse(await getFile('raw/panasonic.rw2'))
+		})
+
 		it(`accepts HEIC`, async () => {
 			await exifr.parse(await getFile('heic-empty.heic'))
 		})
@@ -48,6 +60,38 @@ describe('parser core', () => {
 			await exifr.parse(await getFile('avif/Irvine_CA.avif'))
 		})
 
+		it(`accepts JP2`, async () => {
+			await exifr.parse(await getFile('jp2/47102787.jp2'))
+		})
+
+		it(`accepts WebP`, async () => {
+			await exifr.parse(await getFile('webp/lossy.webp'))
+		})
+
+		it(`accepts CR3`, async () => {
+			await exifr.parse(await getFile('cr3/cmt-boxes.cr3'))
+		})
+
+		it(`accepts MOV`, async () => {
+			await exifr.parse(await getFile('video/iphone.mov'))
+		})
+
+		it(`accepts MP4`, async () => {
+			await exifr.parse(await getFile('video/android.mp4'))
+		})
+
+		it(`accepts GIF`, async () => {
+			await exifr.parse(await getFile('gif/animated-xmp.gif'))
+		})
+
+		it(`accepts JXL`, async () => {
+			await exifr.parse(await getFile('jxl/exif-xmp.jxl'))
+		})
+
+		it(`accepts PSD`, async () => {
+			await exifr.parse(await getFile('psd/rgb.psd'))
+		})
+
 	})
 
 })
\ No newline at end of file
@@ -1,6 +1,7 @@
-import {assert, isNode} from '../test-util-core.mjs'
-import {getFile} from '../test-util-core.mjs'
+import {assert} from '../test-util-core.mjs'
+import {getFile, getPath} from '../test-util-core.mjs'
 import * as exifr from '../../src/bundles/full.mjs'
+import {Exifr} from '../../src/bundles/full.mjs'
 import {testSegment, testMergeSegment, testImage, testImageFull} from '../test-util-suites.mjs'
 
 
@@ -18,12 +19,19 @@ describe('PNG File format', () => {
 		})
 
 		it(`recovers from broken file (invalid crc) without crashing`, async () => {
-			let options = undefined
+			let options = {icc: true}
 			let input = await getFile('png/invalid-iCCP-missing-adler32-checksum.png')
 			let output = await exifr.parse(input, options)
 			assert.equal(output.ImageWidth, 460)
-			// ICC from PNG is currently available only on Nodejs
-			if (isNode) assert.isNotEmpty(output.errors)
+			assert.isNotEmpty(output.errors)
+		})
+
+		it(`ICC profile is not inflated if icc is disabled`, async () => {
+			let options = {icc: false}
+			let input = await getFile('png/invalid-iCCP-missing-adler32-checksum.png')
+			let output = await exifr.parse(input, options)
+			assert.equal(output.ProfileName, 'Photoshop ICC profile')
+			assert.isUndefined(output.errors)
 		})
 
 		describe('options.ihdr enable/disable', () => {
@@ -82,26 +90,24 @@ describe('PNG File format', () => {
 				//ProfileConnectionSpace: 'XYZ',
 			})
 
-			if (isNode) {
-				// with ICC
-				testImageFull('png/IMG_20180725_163423-2.png', {
-					ImageWidth: 40,
-					ImageHeight: 30,
-					BitDepth: 8,
-					// text chunk
-					Software: 'Adobe ImageReady',
-					// text name of ICCP chunk
-					ProfileName: 'ICC profile',
-					//ProfileName: 'ICC profile',
-					// XMP
-					CreatorTool: 'HDR+ 1.0.199571065z',
-					format: 'image/png', // WARNING: yes, the key in XMP is lowercase
-					// ICC
-					ProfileFileSignature: 'acsp',
-					DeviceManufacturer: 'Google',
-					ProfileConnectionSpace: 'XYZ',
-				})
-			}
+			// with ICC
+			testImageFull('png/IMG_20180725_163423-2.png', {
+				ImageWidth: 40,
+				ImageHeight: 30,
+				BitDepth: 8,
+				// text chunk
+				Software: 'Adobe ImageReady',
+				// text name of ICCP chunk
+				ProfileName: 'ICC profile',
+				//ProfileName: 'ICC profile',
+				// XMP
+				CreatorTool: 'HDR+ 1.0.199571065z',
+				format: 'image/png', // WARNING: yes, the key in XMP is lowercase
+				// ICC
+				ProfileFileSignature: 'acsp',
+				DeviceManufacturer: 'Google',
+				ProfileConnectionSpace: 'XYZ',
+			})
 
 		})
 
@@ -147,4 +153,150 @@ describe('PNG File format', () => {
 
 	})
 
+	describe('Compressed text chunks (zTXt and iTXt)', () => {
+
+		it(`zTXt is inflated and merged into ihdr`, async () => {
+			let output = await exifr.parse(await getFile('png/compressed-text.png'), {mergeOutput: false})
+			assert.equal(output.ihdr.Comment, 'Compressed comment')
+		})
+
+		it(`compressed iTXt is inflated and decoded as UTF-8`, async () => {
+			let output = await exifr.parse(await getFile('png/compressed-text.png'), {mergeOutput: false})
+			assert.equal(output.ihdr.Description, 'Žluťoučký kůň')
+		})
+
+		it(`uncompressed iTXt is merged into ihdr`, async () => {
+			let output = await exifr.parse(await getFile('png/compressed-text.png'), {mergeOutput: false})
+			assert.equal(output.ihdr.Title, 'Uncompressed title')
+		})
+
+		it(`XMP from compressed iTXt`, async () => {
+			let output = await exifr.parse(await getFile('png/compressed-text.png'), {mergeOutput: false, xmp: true})
+			assert.equal(output.xmp.CreatorTool, 'ImageMagick 7.0.10')
+			assert.equal(output.xmp.Rating, 4)
+			assert.isUndefined(output.ihdr['XML:com.adobe.xmp'])
+		})
+
+		it(`XMP from compressed iTXt is not parsed when disabled`, async () => {
+			let output = await exifr.parse(await getFile('png/compressed-text.png'), {mergeOutput: false})
+			assert.isUndefined(output.xmp)
+		})
+
+	})
+
+	describe('ImageMagick raw profiles', () => {
+
+		it(`EXIF from 'Raw profile type exif' is parsed by TIFF parser`, async () => {
+			let output = await exifr.parse(await getFile('png/imagemagick-raw-profiles.png'), {mergeOutput: false})
+			assert.equal(output.ifd0.Make, 'Canon')
+			assert.equal(output.ifd0.Model, 'Canon PowerShot S40')
+			assert.isObject(output.gps)
+		})
+
+		it(`IPTC from 'Raw profile type iptc' is parsed by IPTC parser`, async () => {
+			let output = await exifr.parse(await getFile('png/imagemagick-raw-profiles.png'), {mergeOutput: false, iptc: true})
+			assert.equal(output.iptc.Byline, 'John Doe')
+			assert.equal(output.iptc.City, 'Watseka')
+		})
+
+		it(`hex encoded profiles are not output as text`, async () => {
+			let output = await exifr.parse(await getFile('png/imagemagick-raw-profiles.png'), {mergeOutput: false, iptc: true})
+			assert.isUndefined(output.ihdr['Raw profile type exif'])
+			assert.isUndefined(output.ihdr['Raw profile type iptc'])
+			assert.equal(output.ihdr['date:create'], '2020-05-04T10:20:30+00:00')
+		})
+
+		it(`profiles are ignored when segments are disabled`, async () => {
+			let output = await exifr.parse(await getFile('png/imagemagick-raw-profiles.png'), {mergeOutput: false, tiff: false, iptc: false})
+			assert.isUndefined(output.ifd0)
+			assert.isUndefined(output.iptc)
+		})
+
+	})
+
+	describe('Ancillary chunks', () => {
+
+		it(`pHYs - pixel density and resolution in DPI`, async () => {
+			let output = await exifr.parse(await getFile('png/png_with_exif_and_gps.png'), {mergeOutput: false})
+			assert.equal(output.ihdr.PixelsPerUnitX, 3779)
+			assert.equal(output.ihdr.PixelsPerUnitY, 3779)
+			assert.equal(output.ihdr.PixelUnits, 'meters')
+			assert.equal(output.ihdr.XResolution, 96)
+			assert.equal(output.ihdr.YResolution, 96)
+		})
+
+		it(`gAMA and sRGB`, async () => {
+			let output = await exifr.parse(await getFile('png/png_with_exif_and_gps.png'), {mergeOutput: false})
+			assert.equal(output.ihdr.Gamma, 0.45455)
+			assert.equal(output.ihdr.SRGBRendering, 'Perceptual')
+		})
+
+		it(`tIME is revived as UTC Date`, async () => {
+			let output = await exifr.parse(await getFile('png/png_with_exif_and_gps.png'), {mergeOutput: false})
+			assert.instanceOf(output.ihdr.ModifyDate, Date)
+			assert.equal(output.ihdr.ModifyDate.toISOString(), '2003-12-14T12:01:44.000Z')
+		})
+
+		it(`tIME is string if reviveValues is disabled`, async () => {
+			let output = await exifr.parse(await getFile('png/png_with_exif_and_gps.png'), {mergeOutput: false, reviveValues: false})
+			assert.equal(output.ihdr.ModifyDate, '2003:12:14 12:01:44')
+		})
+
+		it(`cHRM`, async () => {
+			let output = await exifr.parse(await getFile('png/apng-ancillary.png'), {mergeOutput: false})
+			assert.equal(output.ihdr.WhitePointX, 0.3127)
+			assert.equal(output.ihdr.WhitePointY, 0.329)
+			assert.equal(output.ihdr.RedX, 0.64)
+			assert.equal(output.ihdr.GreenY, 0.6)
+			assert.equal(output.ihdr.BlueY, 0.06)
+		})
+
+		it(`bKGD of RGB image`, async () => {
+			let output = await exifr.parse(await getFile('png/apng-ancillary.png'), {mergeOutput: false})
+			assert.deepEqual(output.ihdr.BackgroundColor, [255, 128, 0])
+		})
+
+		it(`acTL - APNG frame count and play count`, async () => {
+			let output = await exifr.parse(await getFile('png/apng-ancillary.png'), {mergeOutput: false})
+			assert.equal(output.ihdr.AnimationFrames, 2)
+			assert.equal(output.ihdr.AnimationPlays, 3)
+		})
+
+		it(`values are not translated if translateValues is disabled`, async () => {
+			let output = await exifr.parse(await getFile('png/png_with_exif_and_gps.png'), {mergeOutput: false, translateValues: false})
+			assert.equal(output.ihdr.PixelUnits, 1)
+			assert.equal(output.ihdr.SRGBRendering, 0)
+		})
+
+		it(`chunks are ignored when ihdr is disabled`, async () => {
+			let output = await exifr.parse(await getFile('png/apng-ancillary.png'), {mergeOutput: false, ihdr: false})
+			assert.isUndefined(output)
+		})
+
+	})
+
+	describe('Chunked mode', () => {
+
+		it(`finds metadata chunks after image data`, async () => {
+			let options = {mergeOutput: false, chunked: true, xmp: true}
+			let output = await exifr.parse(getPath('png/metadata-after-idat.png'), options)
+			assert.equal(output.ifd0.Make, 'Canon')
+			assert.equal(output.xmp.CreatorTool, 'exifr')
+			assert.equal(output.ihdr.Comment, 'Written after image data')
+			assert.equal(output.ihdr.ModifyDate.toISOString(), '2022-01-02T03:04:05.000Z')
+			assert.equal(output.ihdr.XResolution, 72)
+		})
+
+		it(`only reads chunk headers and skips image data`, async () => {
+			let exr = new Exifr({chunked: true, firstChunkSize: 512})
+			await exr.read(getPath('png/metadata-after-idat.png'))
+			await exr.parse()
+			if (exr.file.close) await exr.file.close()
+			// First IDAT chunk spans from 54 to 16450
+			assert.isFalse(exr.file.available(512, 16384 - 512))
+			assert.isTrue(exr.file.available(16450, 8))
+		})
+
+	})
+
 })
\ No newline at end of file
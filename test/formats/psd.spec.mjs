@@ -0,0 +1,97 @@
+import {assert} from '../test-util-core.mjs'
+import {getFile} from '../test-util-core.mjs'
+import * as exifr from '../../src/bundles/full.mjs'
+import {testSegment, testMergeSegment, testImage} from '../test-util-suites.mjs'
+
+
+describe('PSD - PsdFileParser', () => {
+
+	const options = {tiff: true, xmp: true, iptc: true, icc: true, mergeOutput: false}
+
+	describe('PSD Segment (file header)', () => {
+
+		describe('options.psd enable/disable', () => {
+			testSegment({
+				key: 'psd',
+				fileWith: 'psd/rgb.psd',
+				definedByDefault: true,
+			})
+		})
+
+		testMergeSegment({
+			key: 'psd',
+			file: 'psd/rgb.psd',
+			properties: ['ImageWidth', 'ImageHeight', 'BitDepth', 'ColorMode']
+		})
+
+		testImage('psd', 'psd/rgb.psd', {
+			Version: 'PSD',
+			NumChannels: 3,
+			ImageWidth: 64,
+			ImageHeight: 48,
+			BitDepth: 8,
+			ColorMode: 'RGB',
+		})
+
+		testImage('psd', 'psd/cmyk-16bit.psb', {
+			Version: 'PSB',
+			NumChannels: 4,
+			ImageWidth: 4,
+			ImageHeight: 2,
+			BitDepth: 16,
+			ColorMode: 'CMYK',
+		})
+
+		it(`should output raw offsets and values with {translateKeys: false, translateValues: false}`, async () => {
+			let output = await exifr.parse(await getFile('psd/rgb.psd'), {mergeOutput: false, translateKeys: false, translateValues: false})
+			assert.equal(output.psd[4], 1)
+			assert.equal(output.psd[18], 64)
+			assert.equal(output.psd[24], 3)
+		})
+
+	})
+
+	it(`should extract IPTC from resource 0x0404`, async () => {
+		let output = await exifr.parse(await getFile('psd/rgb.psd'), options)
+		assert.equal(output.iptc.ObjectName, 'Mountain lake')
+		assert.deepEqual(output.iptc.Keywords, ['landscape', 'water'])
+		assert.equal(output.iptc.CopyrightNotice, '© 2023 Studio Nord')
+	})
+
+	it(`should extract IPTC from resource with name`, async () => {
+		let output = await exifr.parse(await getFile('psd/cmyk-16bit.psb'), options)
+		assert.equal(output.iptc.Byline, 'Jane Doe')
+	})
+
+	it(`should extract ICC from resource 0x040F`, async () => {
+		let output = await exifr.parse(await getFile('psd/rgb.psd'), options)
+		assert.equal(output.icc.ProfileDescription, 'D65 XYZ profile')
+	})
+
+	it(`should extract TIFF from resource 0x0422`, async () => {
+		let output = await exifr.parse(await getFile('psd/rgb.psd'), options)
+		assert.equal(output.ifd0.Make, 'Canon')
+		assert.equal(output.ifd0.Software, 'Adobe Photoshop 24.0 (Macintosh)')
+		assert.equal(output.exif.ExifImageWidth, 64)
+	})
+
+	it(`should extract XMP from resource 0x0424`, async () => {
+		let output = await exifr.parse(await getFile('psd/rgb.psd'), options)
+		assert.equal(output.xmp.CreatorTool, 'Adobe Photoshop 24.0 (Macintosh)')
+	})
+
+	it(`should not extract disabled segments`, async () => {
+		let output = await exifr.parse(await getFile('psd/rgb.psd'), {mergeOutput: false})
+		assert.isUndefined(output.iptc)
+		assert.isUndefined(output.icc)
+		assert.isUndefined(output.xmp)
+	})
+
+	it(`should read image resources in chunked mode`, async () => {
+		let input = await getFile('psd/rgb.psd')
+		let output = await exifr.parse(input, {...options, chunked: true, firstChunkSize: 40, chunkSize: 40})
+		assert.equal(output.iptc.ObjectName, 'Mountain lake')
+		assert.equal(output.ifd0.Make, 'Canon')
+	})
+
+})
\ No newline at end of file
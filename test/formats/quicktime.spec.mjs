@@ -0,0 +1,116 @@
+import {assert} from '../test-util-core.mjs'
+import {getFile} from '../test-util-core.mjs'
+import * as exifr from '../../src/bundles/full.mjs'
+import {testSegment, testMergeSegment, testImage} from '../test-util-suites.mjs'
+
+
+describe('QuickTime - MovFileParser & Mp4FileParser', () => {
+
+	const options = {xmp: true, mergeOutput: false}
+
+	describe('QUICKTIME Segment (moov box)', () => {
+
+		describe('options.quicktime enable/disable', () => {
+			testSegment({
+				key: 'quicktime',
+				fileWith: 'video/iphone.mov',
+				definedByDefault: true,
+			})
+		})
+
+		testMergeSegment({
+			key: 'quicktime',
+			file: 'video/iphone.mov',
+			properties: ['Make', 'Model', 'Duration', 'latitude', 'longitude']
+		})
+
+		testImage('quicktime', 'video/iphone.mov', {
+			Duration: 4250 / 600,
+			GPSCoordinates: '+50.0605-019.9384+215.118/',
+			Make: 'Apple',
+			Model: 'iPhone 12 Pro',
+			Software: '16.1.1',
+			CreationDate: '2022-11-20T14:02:33+0100',
+			latitude: 50.0605,
+			longitude: -19.9384,
+		})
+
+		testImage('quicktime', 'video/android.mp4', {
+			Duration: 12.345,
+			GPSCoordinates: '+35.6586+139.7454/',
+			AndroidVersion: '13',
+			AndroidCaptureFPS: 30,
+			latitude: 35.6586,
+			longitude: 139.7454,
+		})
+
+	})
+
+	it(`should revive mvhd dates (seconds since 1904)`, async () => {
+		let output = await exifr.parse(await getFile('video/iphone.mov'), options)
+		assert.equal(output.quicktime.CreateDate.toISOString(), '2022-11-20T13:02:33.000Z')
+		assert.equal(output.quicktime.ModifyDate.toISOString(), '2022-11-20T13:02:40.000Z')
+	})
+
+	it(`should read 64bit mvhd (version 1)`, async () => {
+		let output = await exifr.parse(await getFile('video/android.mp4'), options)
+		assert.equal(output.quicktime.CreateDate.toISOString(), '2023-03-04T05:06:07.000Z')
+		assert.equal(output.quicktime.Duration, 12.345)
+	})
+
+	it(`should leave dates as seconds since 1904 with reviveValues: false`, async () => {
+		let output = await exifr.parse(await getFile('video/iphone.mov'), {...options, reviveValues: false})
+		assert.equal(output.quicktime.CreateDate, 3751794153)
+	})
+
+	it(`should use raw keys with translateKeys: false`, async () => {
+		let output = await exifr.parse(await getFile('video/android.mp4'), {...options, translateKeys: false})
+		assert.equal(output.quicktime['©xyz'], '+35.6586+139.7454/')
+		assert.equal(output.quicktime['com.android.version'], '13')
+		assert.equal(output.quicktime[4], 12.345)
+		assert.isUndefined(output.quicktime.Duration)
+	})
+
+	it(`should extract XMP from uuid box`, async () => {
+		let output = await exifr.parse(await getFile('video/android.mp4'), options)
+		assert.equal(output.xmp.CreatorTool, 'Pixel Camera')
+	})
+
+	it(`should not extract XMP if disabled`, async () => {
+		let output = await exifr.parse(await getFile('video/android.mp4'), {...options, xmp: false})
+		assert.isUndefined(output.xmp)
+	})
+
+	it(`should read moov box at the end of a chunked file`, async () => {
+		let output = await exifr.parse(await getFile('video/iphone.mov'), {chunked: true, firstChunkSize: 1000, chunkSize: 1000})
+		assert.equal(output.Make, 'Apple')
+		assert.equal(output.latitude, 50.0605)
+	})
+
+	// 'wide' box followed by empty 'moov' box
+	const OLD_MOV = new Uint8Array([0, 0, 0, 8, 0x77, 0x69, 0x64, 0x65, 0, 0, 0, 8, 0x6D, 0x6F, 0x6F, 0x76])
+
+	it(`should recognize old QuickTime file without ftyp`, async () => {
+		let exr = new exifr.Exifr(options)
+		await exr.read(OLD_MOV)
+		exr.setup()
+		assert.equal(exr.fileParser.constructor.type, 'mov')
+	})
+
+	it(`should not recognize file starting with 'wide' box of implausible size`, async () => {
+		let input = OLD_MOV.slice()
+		input[3] = 0xFF // box is larger than the file
+		try {
+			await exifr.parse(input, options)
+			assert.fail('should have thrown')
+		} catch(err) {
+			assert.equal(err.message, 'Unknown file format')
+		}
+	})
+
+	it(`gps() should return the video location`, async () => {
+		let output = await exifr.gps(await getFile('video/iphone.mov'))
+		assert.deepEqual(output, {latitude: 50.0605, longitude: -19.9384})
+	})
+
+})
\ No newline at end of file
@@ -0,0 +1,107 @@
+import {assert} from '../test-util-core.mjs'
+import {getFile, getPath} from '../test-util-core.mjs'
+import * as exifr from '../../src/bundles/full.mjs'
+import {testSegment, testMergeSegment, testImage} from '../test-util-suites.mjs'
+
+
+describe('WebP - WebpFileParser', () => {
+
+	const options = {tiff: true, xmp: true, icc: true, mergeOutput: false}
+
+	describe('WEBP Segment (VP8X, VP8 or VP8L chunk)', () => {
+
+		describe('options.webp enable/disable', () => {
+			testSegment({
+				key: 'webp',
+				fileWith: 'webp/lossy.webp',
+				definedByDefault: true,
+			})
+		})
+
+		testMergeSegment({
+			key: 'webp',
+			file: 'webp/exif-xmp-icc.webp',
+			properties: ['ImageWidth', 'ImageHeight', 'Alpha', 'Animation']
+		})
+
+		testImage('webp', 'webp/exif-xmp-icc.webp', {
+			ImageWidth: 16,
+			ImageHeight: 16,
+			Alpha: true,
+			Animation: false,
+			Compression: 'Lossy',
+		})
+
+		testImage('webp', 'webp/lossy.webp', {
+			ImageWidth: 16,
+			ImageHeight: 16,
+			Compression: 'Lossy',
+		})
+
+		testImage('webp', 'webp/lossless.webp', {
+			ImageWidth: 1,
+			ImageHeight: 1,
+			Alpha: true,
+			Compression: 'Lossless',
+		})
+
+		it(`should output raw tag ids and values with {translateKeys: false, translateValues: false}`, async () => {
+			let input = await getFile('webp/lossless.webp')
+			let output = await exifr.parse(input, {mergeOutput: false, translateKeys: false, translateValues: false})
+			assert.equal(output.webp[0], 1)
+			assert.equal(output.webp[4], 'VP8L')
+		})
+
+	})
+
+	it(`should extract TIFF from EXIF chunk`, async () => {
+		let input = await getFile('webp/exif-xmp-icc.webp')
+		let output = await exifr.parse(input, options)
+		assert.equal(output.ifd0.Make, 'Canon')
+		assert.equal(output.ifd0.Model, 'Canon PowerShot S40')
+		assert.equal(output.gps.latitude, 50.29960277777778)
+	})
+
+	it(`should extract TIFF from EXIF chunk with 'Exif\\0\\0' header`, async () => {
+		let input = await getFile('webp/exif-header.webp')
+		let output = await exifr.parse(input, options)
+		assert.equal(output.ifd0.Make, 'Canon')
+		assert.equal(output.gps.longitude, 14.820294444444444)
+	})
+
+	it(`should extract XMP from XMP chunk`, async () => {
+		let input = await getFile('webp/exif-xmp-icc.webp')
+		let output = await exifr.parse(input, options)
+		assert.equal(output.aux.Lens, '7.1 - 21.3 mm')
+	})
+
+	it(`should extract ICC from ICCP chunk`, async () => {
+		let input = await getFile('webp/exif-xmp-icc.webp')
+		let output = await exifr.parse(input, options)
+		assert.equal(output.icc.ProfileDescription, 'D65 XYZ profile')
+	})
+
+	it(`should not parse disabled segments`, async () => {
+		let input = await getFile('webp/exif-xmp-icc.webp')
+		let output = await exifr.parse(input, {mergeOutput: false})
+		assert.exists(output.ifd0)
+		assert.isUndefined(output.aux)
+		assert.isUndefined(output.icc)
+	})
+
+	it(`should extract all segments in chunked mode`, async () => {
+		let input = getPath('webp/exif-xmp-icc.webp')
+		let output = await exifr.parse(input, {...options, firstChunkSize: 40, chunkSize: 40, chunkLimit: 10})
+		assert.exists(output.webp, 'output should contain WEBP')
+		assert.exists(output.ifd0, 'output should contain IFD0')
+		assert.exists(output.aux,  'output should contain XMP')
+		assert.exists(output.icc,  'output should contain ICC')
+	})
+
+	it(`gps() works with WebP`, async () => {
+		let input = await getFile('webp/exif-xmp-icc.webp')
+		let output = await exifr.gps(input)
+		assert.equal(output.latitude, 50.29960277777778)
+	})
+
+})
\ No newline at end of file
@@ -0,0 +1,40 @@
+import {assert} from '../test-util-core.mjs'
+import {getFile, getPath, isNode} from '../test-util-core.mjs'
+import * as exifr from '../../src/bundles/full.mjs'
+
+
+describe('mpfImages()', () => {
+
+	it(`returns primary image and right eye image of MPO`, async () => {
+		let images = await exifr.mpfImages(await getFile('mpo/stereo.mpo'))
+		assert.lengthOf(images, 2)
+		assert.equal(images[0].byteLength, 8408)
+		assert.equal(images[1].byteLength, 3969)
+		assert.equal(images[1][0], 0xFF)
+		assert.equal(images[1][1], 0xD8)
+	})
+
+	it(`returns large preview stored after primary image`, async () => {
+		let images = await exifr.mpfImages(await getFile('mpo/large-preview.jpg'))
+		let preview = images[1]
+		assert.equal(preview.byteLength, 3175)
+		assert.equal(preview[0], 0xFF)
+		assert.equal(preview[preview.length - 1], 0xD9)
+	})
+
+	isNode && it(`returns Buffer in Node`, async () => {
+		let images = await exifr.mpfImages(await getFile('mpo/stereo.mpo'))
+		assert.instanceOf(images[1], Buffer)
+	})
+
+	isNode && it(`reads images beyond the first chunk (chunked file path)`, async () => {
+		let images = await exifr.mpfImages(getPath('mpo/stereo.mpo'))
+		assert.equal(images[1].byteLength, 3969)
+		assert.equal(images[1][images[1].length - 1], 0xD9)
+	})
+
+	it(`returns undefined for file without MPF`, async () => {
+		assert.isUndefined(await exifr.mpfImages(await getFile('noexif.jpg')))
+	})
+
+})
\ No newline at end of file
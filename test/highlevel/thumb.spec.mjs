@@ -156,3 +156,97 @@ describe('thumbnail', () => {
     })
 
 })
+
+
+describe('thumbnail - HEIC & AVIF', () => {
+
+	function toString(u8arr) {
+		return Array.from(u8arr, code => String.fromCharCode(code)).join('')
+	}
+
+	function findBox(u8arr, kind) {
+		let index = toString(u8arr).indexOf(kind)
+		if (index !== -1) return index - 4
+	}
+
+	function getUint32(u8arr, offset) {
+		return new DataView(u8arr.buffer, u8arr.byteOffset).getUint32(offset)
+	}
+
+	it(`returns thumbnail of HEIC wrapped as standalone HEIC file`, async () => {
+		let thumb = await exifr.thumbnail(await getFile('heic-iphone.heic'))
+		assert.instanceOf(thumb, Uint8Array)
+		assert.equal(toString(thumb.slice(4, 12)), 'ftypheic')
+		assert.isDefined(findBox(thumb, 'hvc1'))
+		assert.isDefined(findBox(thumb, 'hvcC'))
+		assert.equal(thumb.byteLength, 22820)
+	})
+
+	isNode && it(`thumbnail of HEIC contains coded data of the thumbnail item`, async () => {
+		let input = await getFile('heic-iphone.heic')
+		let thumb = await exifr.thumbnail(input)
+		let mdat = findBox(thumb, 'mdat')
+		let data = thumb.slice(mdat + 8)
+		let inputArr = new Uint8Array(input.buffer || input, input.byteOffset)
+		let index = Buffer.from(inputArr).indexOf(Buffer.from(data))
+		assert.isAbove(index, 0)
+	})
+
+	it(`thumbnail of HEIC can be parsed as HEIC file`, async () => {
+		let thumb = await exifr.thumbnail(await getFile('heic-iphone7.heic'))
+		let exr = new Exifr()
+		await exr.read(thumb)
+		exr.setup()
+		assert.isTrue(exr.file.heic)
+		// the thumbnail itself has no thumbnail
+		assert.isUndefined(await exr.extractThumbnail())
+	})
+
+	isNode && it(`returns the same thumbnail from file path (chunked mode)`, async () => {
+		let fromBuffer = await exifr.thumbnail(await getFile('heic-iphone.heic'))
+		let fromPath   = await exifr.thumbnail(getPath('heic-iphone.heic'))
+		assert.deepEqual(Buffer.from(fromPath), Buffer.from(fromBuffer))
+	})
+
+	it(`returns thumbnail of AVIF wrapped as standalone AVIF file`, async () => {
+		let thumb = await exifr.thumbnail(await getFile('avif/thumbnail.avif'))
+		assert.equal(toString(thumb.slice(4, 12)), 'ftypavif')
+		assert.isDefined(findBox(thumb, 'av01'))
+		assert.isDefined(findBox(thumb, 'av1C'))
+	})
+
+	it(`thumbnail of AVIF uses properties of the thumbnail item, not the primary item`, async () => {
+		let thumb = await exifr.thumbnail(await getFile('avif/thumbnail.avif'))
+		let ispe = findBox(thumb, 'ispe')
+		assert.equal(getUint32(thumb, ispe + 12), 160)
+		assert.equal(getUint32(thumb, ispe + 16), 120)
+	})
+
+	it(`returns undefined if HEIC has no thumbnail`, async () => {
+		let thumb = await exifr.thumbnail(await getFile('heic-empty.heic'))
+		assert.isUndefined(thumb)
+	})
+
+	it(`returns undefined if AVIF has no thumbnail`, async () => {
+		let thumb = await exifr.thumbnail(await getFile('avif/Irvine_CA.avif'))
+		assert.isUndefined(thumb)
+	})
+
+})
+
+describe('thumbnail - PSD', () => {
+
+	it(`returns JPEG thumbnail from image resource 0x040C`, async () => {
+		let thumb = await exifr.thumbnail(await getFile('psd/rgb.psd'))
+		assert.instanceOf(thumb, Uint8Array)
+		assert.equal(thumb[0], 0xFF)
+		assert.equal(thumb[1], 0xD8)
+		assert.equal(thumb.byteLength, 1918)
+	})
+
+	it(`returns undefined if PSD has no thumbnail`, async () => {
+		let thumb = await exifr.thumbnail(await getFile('psd/cmyk-16bit.psb'))
+		assert.isUndefined(thumb)
+	})
+
+})
\ No newline at end of file
@@ -73,7 +73,7 @@ describe('ICC Segment', () => {
 		let input = await getFile('issue-metadata-extractor-65.jpg')
 		let options = {tiff: false, icc: {multiSegment: true}}
 		let icc = await exifr.parse(input, options)
-		assert.lengthOf(icc.MediaWhitePoint, 20)
+		assert.lengthOf(icc.MediaWhitePoint, 3)
 		assert.lengthOf(icc.A2B0, 41478)
 		assert.lengthOf(icc.A2B2, 41478)
 		assert.lengthOf(icc.A2B1, 41478)
@@ -230,4 +230,103 @@ describe('ICC Segment', () => {
 		DeviceModelDesc: 'Reference Output Medium Metric(ROMM)'
 	})
 
+	describe('colorimetric tag types', () => {
+
+		async function parseProfile(filePath, options) {
+			return Icc.parse(await getFile(filePath), options)
+		}
+
+		it(`XYZ - single XYZ number is [X, Y, Z] array`, async () => {
+			let output = await parseProfile('icc/sRGB2014.icc')
+			assert.deepEqual(output.MediaWhitePoint, [0.964202880859375, 1, 0.8249053955078125])
+			assert.deepEqual(output.RedMatrixColumn, [0.436065673828125, 0.2224884033203125, 0.013916015625])
+		})
+
+		it(`XYZ - multiple XYZ numbers are array of arrays`, async () => {
+			let output = await parseProfile('icc/colorimetric-types.icc')
+			assert.deepEqual(output.Luminance, [[0, 80, 0], [0, 100, 0]])
+		})
+
+		it(`XYZ - negative values (s15Fixed16)`, async () => {
+			let output = await parseProfile('icc/colorimetric-types.icc')
+			assert.deepEqual(output.RedMatrixColumn, [0.5, 0.25, -0.125])
+		})
+
+		it(`curv - table of values`, async () => {
+			let output = await parseProfile('icc/sRGB2014.icc')
+			assert.instanceOf(output.RedTRC, Uint16Array)
+			assert.lengthOf(output.RedTRC, 1024)
+			assert.equal(output.RedTRC[0], 0)
+			assert.equal(output.RedTRC[1023], 65535)
+		})
+
+		it(`curv - gamma and identity`, async () => {
+			let output = await parseProfile('icc/colorimetric-types.icc')
+			assert.equal(output.RedTRC, 2.19921875)
+			assert.equal(output.GreenTRC, 1)
+		})
+
+		it(`para - function type and parameters`, async () => {
+			let output = await parseProfile('icc/colorimetric-types.icc')
+			assert.deepEqual(Object.keys(output.BlueTRC), ['functionType', 'g'])
+			assert.equal(output.BlueTRC.functionType, 0)
+			assert.closeTo(output.BlueTRC.g, 1.8, 0.0001)
+			assert.deepEqual(Object.keys(output.GrayTRC), ['functionType', 'g', 'a', 'b', 'c', 'd', 'e', 'f'])
+			assert.closeTo(output.GrayTRC.f, 0.02, 0.0001)
+		})
+
+		it(`para - sRGB curve from JPEG`, async () => {
+			let output = await exifr.parse(await getFile('IMG_20180725_163423.jpg'), {tiff: false, icc: true})
+			assert.equal(output.RedTRC.functionType, 3)
+			assert.closeTo(output.RedTRC.g, 2.4, 0.0001)
+			assert.closeTo(output.RedTRC.d, 0.04045, 0.0001)
+		})
+
+		it(`chrm - colorant and x, y of channels`, async () => {
+			let output = await parseProfile('icc/colorimetric-types.icc')
+			assert.equal(output.Chromaticity.colorant, 'ITU-R BT.709')
+			assert.lengthOf(output.Chromaticity.channels, 3)
+			assert.closeTo(output.Chromaticity.channels[0][0], 0.64, 0.0001)
+			assert.closeTo(output.Chromaticity.channels[2][1], 0.06, 0.0001)
+		})
+
+		it(`chrm - from JPEG`, async () => {
+			let output = await exifr.parse(await getFile('orientation/f1t.jpg'), {tiff: false, icc: true})
+			assert.lengthOf(output.Chromaticity.channels, 3)
+			assert.closeTo(output.Chromaticity.channels[1][1], 0.6, 0.0001)
+		})
+
+		it(`meas - measurement conditions`, async () => {
+			let output = await parseProfile('icc/colorimetric-types.icc')
+			let {observer, backing, geometry, flare, illuminant} = output.Measurement
+			assert.equal(observer, 'CIE 1964')
+			assert.lengthOf(backing, 3)
+			assert.equal(geometry, '0/45 or 45/0')
+			assert.equal(flare, 0.5)
+			assert.equal(illuminant, 'D50')
+		})
+
+		it(`view - viewing conditions from JPEG`, async () => {
+			let output = await exifr.parse(await getFile('Bush-dog.jpg'), {tiff: false, icc: true})
+			assert.closeTo(output.ViewingConditions.illuminant[1], 20.3718, 0.0001)
+			assert.closeTo(output.ViewingConditions.surround[1], 4.0744, 0.0001)
+			assert.equal(output.ViewingConditions.illuminantType, 'D50')
+		})
+
+		it(`dtim - date`, async () => {
+			let output = await parseProfile('icc/colorimetric-types.icc')
+			assert.instanceOf(output.CalibrationDateTime, Date)
+			assert.equal(output.CalibrationDateTime.toISOString(), '2021-06-07T08:09:10.000Z')
+		})
+
+		it(`values of objects are not translated if translateValues is disabled`, async () => {
+			let output = await parseProfile('icc/colorimetric-types.icc', {translateValues: false})
+			assert.equal(output.Measurement.observer, 2)
+			assert.equal(output.Measurement.illuminant, 1)
+			assert.equal(output.ViewingConditions.illuminantType, 1)
+			assert.equal(output.Chromaticity.colorant, 1)
+		})
+
+	})
+
 })
\ No newline at end of file
@@ -0,0 +1,122 @@
+import {assert, isNode, getFile} from './test-util-core.mjs'
+import {inflate, inflateSync, inflateStream} from '../src/util/inflate.mjs'
+
+
+function fromHex(hex) {
+	return new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)))
+}
+
+function toString(u8arr) {
+	return String.fromCharCode(...u8arr)
+}
+
+// 'hello hello hello exifr' compressed with zlib
+const STORED = fromHex('7801011700e8ff68656c6c6f2068656c6c6f2068656c6c6f206578696672682e08bb')
+const FIXED  = fromHex('7801cb48cdc9c957c84022532b32d38a00682e08bb')
+const TEXT   = 'hello hello hello exifr'
+
+// Compressed ICC profile from the iCCP chunk of the fixture
+async function getIccpData() {
+	let file = new Uint8Array(await getFile('png/IMG_20180725_163423-2.png'))
+	let view = new DataView(file.buffer, file.byteOffset)
+	for (let offset = 8; offset < file.length;) {
+		let length = view.getUint32(offset)
+		let type = toString(file.subarray(offset + 4, offset + 8))
+		let data = file.subarray(offset + 8, offset + 8 + length)
+		if (type === 'iCCP') return data.subarray(data.indexOf(0) + 2)
+		offset += length + 12
+	}
+}
+
+describe('inflate', () => {
+
+	describe('inflateSync() pure JS implementation', () => {
+
+		it(`inflates stored block`, async () => {
+			assert.equal(toString(inflateSync(STORED)), TEXT)
+		})
+
+		it(`inflates fixed Huffman block`, async () => {
+			assert.equal(toString(inflateSync(FIXED)), TEXT)
+		})
+
+		it(`inflates dynamic Huffman blocks (ICC from PNG)`, async () => {
+			let output = inflateSync(await getIccpData())
+			assert.equal(toString(output.subarray(36, 40)), 'acsp')
+			assert.equal(new DataView(output.buffer).getUint32(0), output.length)
+		})
+
+		it(`throws on invalid header`, async () => {
+			assert.throws(() => inflateSync(FIXED.subarray(2)), 'Invalid zlib header')
+		})
+
+		it(`throws on missing checksum`, async () => {
+			assert.throws(() => inflateSync(FIXED.subarray(0, FIXED.length - 4)), 'Missing zlib checksum')
+		})
+
+		it(`throws on invalid checksum`, async () => {
+			let input = FIXED.slice()
+			input[input.length - 1]++
+			assert.throws(() => inflateSync(input), 'Invalid zlib checksum')
+		})
+
+		it(`throws on truncated data`, async () => {
+			assert.throws(() => inflateSync(FIXED.subarray(0, 8)), 'Unexpected end of deflate data')
+		})
+
+		if (isNode) {
+
+			it(`output matches zlib for various compression levels and strategies`, async () => {
+				let zlib = await import('zlib')
+				let text = ''
+				for (let i = 0; i < 2000; i++) text += `${i % 7} line ${i * 31 % 997} of exifr test\n`
+				let input = Buffer.from(text)
+				let variants = [
+					{level: 0},
+					{level: 1},
+					{level: 9},
+					{strategy: zlib.constants.Z_FIXED},
+					{strategy: zlib.constants.Z_HUFFMAN_ONLY},
+					{strategy: zlib.constants.Z_RLE},
+				]
+				for (let options of variants) {
+					let output = inflateSync(zlib.deflateSync(input, options))
+					assert.equal(Buffer.from(output).toString(), text, JSON.stringify(options))
+				}
+			})
+
+		}
+
+	})
+
+	if (typeof DecompressionStream !== 'undefined') {
+
+		describe('inflateStream() using DecompressionStream', () => {
+
+			it(`inflates same data as inflateSync()`, async () => {
+				let input = await getIccpData()
+				assert.deepEqual(await inflateStream(input), inflateSync(input))
+			})
+
+			it(`rejects on invalid data`, async () => {
+				let input = FIXED.slice()
+				input[input.length - 1]++
+				try {
+					await inflateStream(input)
+					assert.fail('should have thrown')
+				} catch(err) {
+					assert.notEqual(err.message, 'should have thrown')
+				}
+			})
+
+		})
+
+	}
+
+	it(`inflate() returns the same data on every platform`, async () => {
+		let input = await getIccpData()
+		let output = await inflate(input)
+		assert.deepEqual(new Uint8Array(output), inflateSync(input))
+	})
+
+})
\ No newline at end of file
@@ -21,6 +21,13 @@ describe('IPTC Segment', () => {
 		assert.equal(output.Keywords.slice(0, 154), 'Budapest. 5. kerület. Kossuth Lajos utca ; Budapest. 5. kerület. Szabad sajtó út 5-6. ; Budapest. 5. kerület. Március 15. tér. Belvárosi Fõplébániatemplom')
 	})
 
+	it(`reads IPTC resource that is truncated (its size exceeds the APP13 segment)`, async () => {
+		let input = await getFile('iptc-truncated-resource.jpg')
+		let output = await exifr.parse(input, {iptc: true})
+		assert.equal(output.ObjectName, 'THYSSENKRUPP-RESTRUCTURING/STEEL')
+		assert.equal(output.City, 'NEUSS')
+	})
+
 	it(`#67 - Does not infinately loop through and cause leak`, async () => {
 		let input = await getFile('iptc-mess.jpg')
 		var output = await exifr.parse(input, true)
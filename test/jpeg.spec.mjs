@@ -0,0 +1,112 @@
+import {assert} from './test-util-core.mjs'
+import {getFile, getPath, isNode} from './test-util-core.mjs'
+import {testSegment, testMergeSegment, testImage} from './test-util-suites.mjs'
+import * as exifr from '../src/bundles/full.mjs'
+
+
+describe('JPEG Segment (SOF and COM)', () => {
+
+	const options = {jpeg: true, mergeOutput: false}
+
+	describe('options.jpeg enable/disable', () => {
+		testSegment({
+			key: 'jpeg',
+			fileWith: 'jpeg/comments.jpg',
+			fileWithout: undefined,
+			definedByDefault: false,
+		})
+	})
+
+	testMergeSegment({
+		key: 'jpeg',
+		file: 'jpeg/comments.jpg',
+		properties: ['EncodingProcess', 'Comment']
+	})
+
+	testImage('jpeg', 'issue-exifr-4.jpg', {
+		EncodingProcess: 'Baseline DCT, Huffman coding',
+		BitsPerSample: 8,
+		ImageWidth: 100,
+		ImageHeight: 50,
+		ColorComponents: 3,
+		YCbCrSubSampling: 'YCbCr4:2:0 (2 2)',
+	})
+
+	testImage('jpeg', 'broken1.jpg', {
+		EncodingProcess: 'Progressive DCT, Huffman coding',
+		ImageWidth: 600,
+		ImageHeight: 900,
+	})
+
+	testImage('jpeg', 'canon-dslr.jpg', {
+		ImageWidth: 5184,
+		ImageHeight: 3456,
+		YCbCrSubSampling: 'YCbCr4:2:2 (2 1)',
+	})
+
+	it(`should not output subsampling of grayscale image`, async () => {
+		let output = await exifr.parse(await getFile('orientation/f1t.jpg'), options)
+		assert.equal(output.jpeg.ColorComponents, 1)
+		assert.isUndefined(output.jpeg.YCbCrSubSampling)
+	})
+
+	it(`should join text of all COM segments`, async () => {
+		let output = await exifr.parse(await getFile('jpeg/comments.jpg'), options)
+		assert.equal(output.jpeg.Comment, 'Created with GIMP\nSecond comment')
+	})
+
+	it(`should output raw values when translateValues is disabled`, async () => {
+		let output = await exifr.parse(await getFile('jpeg/comments.jpg'), {...options, translateValues: false})
+		assert.equal(output.jpeg.EncodingProcess, 0xC0)
+		assert.equal(output.jpeg.YCbCrSubSampling, '2 2')
+	})
+
+	it(`should read dimensions along with EXIF`, async () => {
+		let output = await exifr.parse(await getFile('IMG_20180725_163423.jpg'), options)
+		assert.equal(output.jpeg.ImageWidth, 4048)
+		assert.equal(output.jpeg.ImageHeight, 3036)
+		assert.isObject(output.ifd0)
+	})
+
+	describe('quantization tables', () => {
+
+		it(`should read DQT tables in natural order`, async () => {
+			let output = await exifr.parse(await getFile('issue-exifr-4.jpg'), options)
+			let tables = output.jpeg.QuantizationTables
+			assert.lengthOf(tables, 2)
+			assert.instanceOf(tables[0], Uint16Array)
+			assert.lengthOf(tables[0], 64)
+			// IJG luminance table scaled to quality 70
+			assert.deepEqual(Array.from(tables[0].slice(0, 8)), [10, 7, 6, 10, 14, 24, 31, 37])
+		})
+
+		it(`should estimate quality of image with luma and chroma tables`, async () => {
+			let output = await exifr.parse(await getFile('issue-exifr-4.jpg'), options)
+			assert.equal(output.jpeg.JPEGQualityEstimate, 70)
+		})
+
+		it(`should estimate quality of progressive image`, async () => {
+			let output = await exifr.parse(await getFile('broken1.jpg'), options)
+			assert.equal(output.jpeg.JPEGQualityEstimate, 90)
+		})
+
+		it(`should estimate quality of grayscale image with single table`, async () => {
+			let output = await exifr.parse(await getFile('orientation/f1t.jpg'), options)
+			assert.lengthOf(output.jpeg.QuantizationTables, 1)
+			assert.equal(output.jpeg.JPEGQualityEstimate, 80)
+		})
+
+		it(`should estimate quality of camera with custom tables`, async () => {
+			let output = await exifr.parse(await getFile('canon-dslr.jpg'), options)
+			assert.equal(output.jpeg.JPEGQualityEstimate, 98)
+		})
+
+	})
+
+	isNode && it(`should find SOF and COM beyond the first chunk`, async () => {
+		let output = await exifr.parse(getPath('jpeg/comments.jpg'), {...options, chunked: true, firstChunkSize: 30, chunkSize: 30, chunkLimit: 100})
+		assert.equal(output.jpeg.ImageWidth, 250)
+		assert.equal(output.jpeg.Comment, 'Created with GIMP\nSecond comment')
+	})
+
+})
\ No newline at end of file
@@ -0,0 +1,89 @@
+import {assert} from './test-util-core.mjs'
+import {getFile} from './test-util-core.mjs'
+import {testSegment, testMergeSegment, testImage} from './test-util-suites.mjs'
+import {Exifr} from '../src/bundles/full.mjs'
+import * as exifr from '../src/bundles/full.mjs'
+
+
+describe('MPF Segment (Multi-Picture Format)', () => {
+
+	const options = {mpf: true, mergeOutput: false}
+
+	describe('options.mpf enable/disable', () => {
+		testSegment({
+			key: 'mpf',
+			fileWith: 'mpo/stereo.mpo',
+			fileWithout: 'IMG_20180725_163423.jpg',
+			definedByDefault: false
+		})
+	})
+
+	testMergeSegment({
+		key: 'mpf',
+		file: 'mpo/stereo.mpo',
+		properties: ['MPFVersion', 'NumberOfImages', 'MPImageList']
+	})
+
+	testImage('mpf', 'mpo/large-preview.jpg', {
+		MPFVersion: '0100',
+		NumberOfImages: 2,
+	})
+
+	it(`should decode MP entries of stereo image (big endian)`, async () => {
+		let output = await exifr.parse(await getFile('mpo/stereo.mpo'), options)
+		let [left, right] = output.mpf.MPImageList
+		assert.equal(left.MPImageType, 'Multi-Frame Image (Disparity)')
+		assert.equal(left.MPImageFormat, 'JPEG')
+		assert.equal(left.MPImageStart, 0)
+		assert.equal(left.MPImageLength, 8408)
+		assert.isTrue(left.RepresentativeImage)
+		assert.equal(right.MPImageType, 'Multi-Frame Image (Disparity)')
+		assert.equal(right.MPImageStart, 8380)
+		assert.equal(right.MPImageLength, 3969)
+		assert.isFalse(right.RepresentativeImage)
+	})
+
+	it(`should decode MP entries of large preview (little endian)`, async () => {
+		let output = await exifr.parse(await getFile('mpo/large-preview.jpg'), options)
+		let [primary, preview] = output.mpf.MPImageList
+		assert.equal(primary.MPImageType, 'Baseline MP Primary Image')
+		assert.isTrue(primary.DependentParentImage)
+		assert.equal(preview.MPImageType, 'Large Thumbnail (VGA Equivalent)')
+		assert.equal(preview.MPImageLength, 3175)
+	})
+
+	it(`should output raw MP entries when translateValues is disabled`, async () => {
+		let output = await exifr.parse(await getFile('mpo/large-preview.jpg'), {...options, translateKeys: false, translateValues: false})
+		let entries = output.mpf[0xB002]
+		assert.equal(entries[0].MPImageType, 0x030000)
+		assert.equal(entries[0].MPImageFormat, 0)
+		assert.equal(entries[1].MPImageType, 0x010001)
+	})
+
+	describe('Exifr#extractMpfImages()', () => {
+
+		it(`returns array of jpeg images listed in MP entries`, async () => {
+			let exr = new Exifr(options)
+			await exr.read(await getFile('mpo/stereo.mpo'))
+			let images = await exr.extractMpfImages()
+			assert.lengthOf(images, 2)
+			for (let image of images) {
+				assert.instanceOf(image, Uint8Array)
+				assert.equal(image[0], 0xFF)
+				assert.equal(image[1], 0xD8)
+				assert.equal(image[image.length - 2], 0xFF)
+				assert.equal(image[image.length - 1], 0xD9)
+			}
+			assert.equal(images[0].byteLength, 8408)
+			assert.equal(images[1].byteLength, 3969)
+		})
+
+		it(`returns undefined if file has no MPF segment`, async () => {
+			let exr = new Exifr(options)
+			await exr.read(await getFile('noexif.jpg'))
+			assert.isUndefined(await exr.extractMpfImages())
+		})
+
+	})
+
+})
\ No newline at end of file
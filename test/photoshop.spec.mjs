@@ -0,0 +1,97 @@
+import {assert, assertOutputWithoutErrors} from './test-util-core.mjs'
+import {getFile} from './test-util-core.mjs'
+import {testSegment, testMergeSegment, testImage} from './test-util-suites.mjs'
+import * as exifr from '../src/bundles/full.mjs'
+
+
+describe('Photoshop Segment (Image Resource Blocks)', () => {
+
+	const options = {photoshop: true, mergeOutput: false}
+
+	describe('options.photoshop enable/disable', () => {
+		testSegment({
+			key: 'photoshop',
+			fileWith: 'photoshop/app13-resources.jpg',
+			fileWithout: 'IMG_20180725_163423.jpg',
+			definedByDefault: false
+		})
+	})
+
+	testMergeSegment({
+		key: 'photoshop',
+		file: 'photoshop/app13-resources.jpg',
+		properties: ['XResolution', 'YResolution', 'CopyrightFlag']
+	})
+
+	testImage('photoshop', 'photoshop/app13-resources.jpg', {
+		XResolution: 72,
+		DisplayedUnitsX: 'inches',
+		YResolution: 72,
+		DisplayedUnitsY: 'inches',
+		PhotoshopQuality: 10,
+		PhotoshopFormat: 'Progressive',
+		ProgressiveScans: '3 Scans',
+		CopyrightFlag: true,
+		URL: 'https://example.com/licence',
+		SlicesGroupName: 'harbour',
+		NumSlices: 3,
+	})
+
+	it(`should decode names of layer comps from descriptor`, async () => {
+		let output = await exifr.parse(await getFile('photoshop/app13-resources.jpg'), options)
+		assert.deepEqual(output.photoshop.LayerComps, ['Day', 'Night', 'Print'])
+	})
+
+	it(`should extract JPEG thumbnail without resource header`, async () => {
+		let output = await exifr.parse(await getFile('photoshop/app13-resources.jpg'), options)
+		let thumb = output.photoshop.PhotoshopThumbnail
+		assert.instanceOf(thumb, Uint8Array)
+		assert.equal(thumb[0], 0xFF)
+		assert.equal(thumb[1], 0xD8)
+		assert.equal(thumb.byteLength, 1918)
+	})
+
+	it(`should read the same APP13 segment as IPTC`, async () => {
+		let output = await exifr.parse(await getFile('photoshop/app13-resources.jpg'), {...options, iptc: true})
+		assert.equal(output.photoshop.XResolution, 72)
+		assert.equal(output.iptc.ObjectName, 'Harbour at dawn')
+	})
+
+	it(`should read APP13 without IPTC`, async () => {
+		let output = await exifr.parse(await getFile('photoshop/app13-no-iptc.jpg'), {...options, iptc: true})
+		assert.equal(output.photoshop.XResolution, 300)
+		assert.isFalse(output.photoshop.CopyrightFlag)
+		assert.isUndefined(output.iptc)
+	})
+
+	it(`should use raw values with translateValues: false`, async () => {
+		let output = await exifr.parse(await getFile('photoshop/app13-resources.jpg'), {...options, translateValues: false})
+		assert.equal(output.photoshop.DisplayedUnitsX, 1)
+		assert.equal(output.photoshop.PhotoshopFormat, 0x0101)
+	})
+
+	it(`should decode slices stored in descriptor (version 8) of PSD file`, async () => {
+		let output = await exifr.parse(await getFile('psd/rgb-resources.psd'), options)
+		assert.equal(output.photoshop.XResolution, 300)
+		assert.equal(output.photoshop.SlicesGroupName, 'banner')
+		assert.equal(output.photoshop.NumSlices, 4)
+	})
+
+	it(`should find APP13 in chunked mode`, async () => {
+		let input = await getFile('photoshop/app13-resources.jpg')
+		let output = await exifr.parse(input, {...options, chunked: true, firstChunkSize: 100, chunkSize: 100})
+		assert.equal(output.photoshop.XResolution, 72)
+	})
+
+	it(`should not output empty block if APP13 only contains IPTC`, async () => {
+		let output = await exifr.parse(await getFile('issue-exifr-47.jpeg'), {...options, iptc: true})
+		assert.isDefined(output.iptc)
+		assert.isUndefined(output.photoshop)
+	})
+
+	it(`should parse files with APP13 without errors`, async () => {
+		let output = await exifr.parse(await getFile('issue-exifr-41-Error_Segment_Unreachable.jpg'), {...options, silentErrors: true})
+		assertOutputWithoutErrors(output)
+	})
+
+})
\ No newline at end of file
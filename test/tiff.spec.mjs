@@ -1,5 +1,5 @@
 import {assert} from './test-util-core.mjs'
-import {getFile} from './test-util-core.mjs'
+import {getFile, getPath} from './test-util-core.mjs'
 import {testMergeSegment, testSegmentTranslation, testPickOrSkipTags} from './test-util-suites.mjs'
 import {testGlobalFormatterInheritance, testTiffFormatterInheritance} from './test-util-suites.mjs'
 import {TAG_XMP, TAG_IPTC, TAG_ICC} from '../src/tags.mjs'
@@ -405,6 +405,53 @@ describe('TIFF Segment', () => {
 
 	})
 
+	describe('values outside of chunk', () => {
+
+		// IFD0 is at the start of the file but ImageDescription and Software values are 100KB further.
+		let file = 'chunked/values-outside-chunk.tif'
+
+		it(`reads values outside of the first chunk when the file is read in chunks`, async () => {
+			var output = await exifr.parse(getPath(file), {chunked: true, silentErrors: false})
+			assert.equal(output.Make, 'EPSON')
+			assert.equal(output.ImageWidth, 1200)
+			assert.isTrue(output.ImageDescription.startsWith('Scanned document.'))
+			assert.equal(output.Software, 'ScanStation 4.2; ScanStation 4.3; Adobe Photoshop 24.1 (Windows)')
+		})
+
+		it(`output is the same as when the whole file is read`, async () => {
+			var chunked = await exifr.parse(getPath(file), {chunked: true})
+			var whole   = await exifr.parse(await getFile(file))
+			assert.deepEqual(chunked, whole)
+		})
+
+		it(`reads values outside of the chunk with pick`, async () => {
+			var output = await exifr.parse(getPath(file), {chunked: true, pick: ['Software']})
+			assert.deepEqual(output, {Software: 'ScanStation 4.2; ScanStation 4.3; Adobe Photoshop 24.1 (Windows)'})
+		})
+
+		it(`tag with value offset outside of the file is skipped without losing the rest of IFD0`, async () => {
+			var output = await exifr.parse(getPath('chunked/value-offset-outside-file.tif'), {chunked: true, silentErrors: false})
+			assert.equal(output.Make, 'EPSON')
+			assert.isTrue(output.ImageDescription.startsWith('Scanned document.'))
+			assert.isUndefined(output.Software)
+		})
+
+		it(`tag with value offset outside of the file is skipped the same way when whole file is read`, async () => {
+			let input = await getFile('chunked/value-offset-outside-file.tif')
+			var output = await exifr.parse(input, {silentErrors: false})
+			assert.equal(output.Make, 'EPSON')
+			assert.isTrue(output.ImageDescription.startsWith('Scanned document.'))
+			assert.isUndefined(output.Software)
+		})
+
+		it(`skipped tag is noted in output.errors with silentErrors: true`, async () => {
+			var output = await exifr.parse(getPath('chunked/value-offset-outside-file.tif'), {chunked: true, silentErrors: true})
+			assert.equal(output.Make, 'EPSON')
+			assert.isTrue(output.errors.some(message => message.includes('outside of file')))
+		})
+
+	})
+
 })
 
 
@@ -639,6 +686,295 @@ describe('TIFF - IFD1 / Thumbnail Block', () => {
 
 })
 
+// SubIFDs
+describe('TIFF - SubIFDs Block', () => {
+
+	let file = 'raw/subifds.dng'
+
+	it(`output.subIfds is undefined by default`, async () => {
+		let input = await getFile(file)
+		let output = await exifr.parse(input, {mergeOutput: false})
+		assert.isUndefined(output.subIfds)
+	})
+
+	it(`output.subIfds is array of all SubIFDs when {subIfds: true}`, async () => {
+		let input = await getFile(file)
+		let output = await exifr.parse(input, {mergeOutput: false, subIfds: true})
+		assert.isArray(output.subIfds)
+		assert.lengthOf(output.subIfds, 2)
+		assert.equal(output.subIfds[0].ImageWidth, 8288)
+		assert.equal(output.subIfds[0].ImageHeight, 5520)
+		assert.equal(output.subIfds[0].Compression, 7)
+		assert.equal(output.subIfds[0].TileWidth, 256)
+		assert.equal(output.subIfds[1].ImageWidth, 1024)
+		assert.equal(output.subIfds[1].StripOffsets, 4096)
+	})
+
+	it(`output.subIfds is not merged into output when {mergeOutput: true}`, async () => {
+		let input = await getFile(file)
+		let output = await exifr.parse(input, {mergeOutput: true, subIfds: true})
+		assert.equal(output.ImageWidth, 256)
+		assert.equal(output.subIfds[0].ImageWidth, 8288)
+	})
+
+	it(`SubIFD pointer is not in ifd0`, async () => {
+		let input = await getFile(file)
+		let output = await exifr.parse(input, {mergeOutput: false, subIfds: true})
+		assert.isUndefined(output.ifd0.SubIFD)
+	})
+
+	it(`output.subIfds is the only block when {tiff: false, subIfds: true}`, async () => {
+		let input = await getFile(file)
+		let output = await exifr.parse(input, {mergeOutput: false, tiff: false, subIfds: true})
+		assert.isUndefined(output.ifd0)
+		assert.isUndefined(output.exif)
+		assert.lengthOf(output.subIfds, 2)
+	})
+
+	it(`only picked tags are in output.subIfds`, async () => {
+		let input = await getFile(file)
+		let output = await exifr.parse(input, {mergeOutput: false, subIfds: ['ImageWidth']})
+		assert.deepEqual(output.subIfds, [{ImageWidth: 8288}, {ImageWidth: 1024}])
+	})
+
+	it(`keys are not translated when {translateKeys: false}`, async () => {
+		let input = await getFile(file)
+		let output = await exifr.parse(input, {mergeOutput: false, subIfds: true, translateKeys: false})
+		assert.equal(output.subIfds[0][0x0100], 8288)
+	})
+
+})
+
+describe('TIFF - RAW file header variants', () => {
+
+	it(`reads Olympus ORF with 'IIRO' header`, async () => {
+		let output = await exifr.parse(await getFile('raw/olympus-iiro.orf'))
+		assert.equal(output.Make, 'OLYMPUS IMAGING CORP.')
+		assert.equal(output.ISO, 200)
+	})
+
+	it(`reads Olympus ORF with 'MMOR' header`, async () => {
+		let output = await exifr.parse(await getFile('raw/olympus-mmor.orf'))
+		assert.equal(output.Model, 'E-1')
+		assert.equal(output.ISO, 200)
+	})
+
+	it(`reads Panasonic RW2 with 'IIU\\0' header`, async () => {
+		let output = await exifr.parse(await getFile('raw/panasonic.rw2'))
+		assert.equal(output.Make, 'Panasonic')
+		assert.equal(output.ISO, 200)
+	})
+
+	it(`rejects file with byte order mark but unknown magic number`, async () => {
+		let input = new Uint8Array([0x49, 0x49, 0x00, 0x00, 0x08, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00])
+		let output = await exifr.parse(input).catch(err => err)
+		assert.instanceOf(output, Error)
+		assert.equal(output.message, 'Unknown file format')
+	})
+
+})
+
+describe('TIFF - BigTIFF', () => {
+
+	for (let file of ['bigtiff/bigtiff-le.tif', 'bigtiff/bigtiff-be.tif']) {
+
+		describe(file, () => {
+
+			it(`reads IFD0 with 20 byte entries and 64b offsets`, async () => {
+				let output = await exifr.parse(await getFile(file), {mergeOutput: false})
+				assert.equal(output.ifd0.Make, 'Leica Microsystems')
+				assert.equal(output.ifd0.Model, 'Aperio GT 450')
+				assert.equal(output.ifd0.ImageWidth, 120000)
+			})
+
+			it(`reads short string stored inline in 8 byte value field`, async () => {
+				let output = await exifr.parse(await getFile(file), {mergeOutput: false})
+				assert.equal(output.ifd0.ImageDescription, 'Slide 1')
+			})
+
+			it(`reads LONG8 value larger than 32 bits`, async () => {
+				let output = await exifr.parse(await getFile(file), {mergeOutput: false})
+				assert.equal(output.ifd0.StripOffsets, 5000000000)
+			})
+
+			it(`follows IFD8 pointer to EXIF`, async () => {
+				let output = await exifr.parse(await getFile(file), {mergeOutput: false})
+				assert.equal(output.exif.ISO, 100)
+				assert.equal(output.exif.ExposureTime, 0.008)
+			})
+
+			it(`follows LONG8 pointer to GPS`, async () => {
+				let output = await exifr.gps(await getFile(file))
+				assert.equal(output.latitude, -33.86666666666667)
+				assert.equal(output.longitude, 151.20999999999998)
+			})
+
+			it(`follows 64b pointer to IFD1`, async () => {
+				let output = await exifr.parse(await getFile(file), {mergeOutput: false, ifd1: true})
+				assert.equal(output.ifd1.ImageWidth, 128)
+			})
+
+			it(`reads arrays of LONG8 and SLONG8 in SubIFDs`, async () => {
+				let output = await exifr.parse(await getFile(file), {mergeOutput: false, subIfds: true})
+				assert.deepEqual(output.subIfds[0].StripOffsets, [4294967296, 4294967396])
+				assert.deepEqual(output.subIfds[0].StripByteCounts, [-2, 100])
+			})
+
+		})
+
+	}
+
+})
+
+describe('TIFF - Pages (multi-page TIFF)', () => {
+
+	let file = 'multipage/fax-3-pages.tif'
+
+	it(`output.pages is undefined by default`, async () => {
+		let output = await exifr.parse(await getFile(file))
+		assert.isUndefined(output.pages)
+	})
+
+	it(`output.pages contains all IFDs in the chain when {pages: true}`, async () => {
+		let output = await exifr.parse(await getFile(file), {pages: true})
+		assert.isArray(output.pages)
+		assert.lengthOf(output.pages, 3)
+		assert.equal(output.pages[0].Make, 'Brother')
+		assert.equal(output.pages[0].ImageHeight, 2201)
+		assert.equal(output.pages[1].ImageHeight, 2202)
+		assert.equal(output.pages[2].ImageHeight, 2203)
+		assert.deepEqual(Array.from(output.pages[2].PageNumber), [2, 3])
+	})
+
+	it(`output.pages is kept separate when {mergeOutput: false}`, async () => {
+		let output = await exifr.parse(await getFile(file), {pages: true, mergeOutput: false})
+		assert.equal(output.ifd0.ImageHeight, 2201)
+		assert.lengthOf(output.pages, 3)
+	})
+
+	it(`pointers are removed from pages`, async () => {
+		let output = await exifr.parse(await getFile(file), {pages: true})
+		assert.isUndefined(output.pages[0].ExifIFD)
+	})
+
+	it(`pages use ifd0 pick`, async () => {
+		let output = await exifr.parse(await getFile(file), {pages: true, ifd0: ['ImageHeight'], mergeOutput: false})
+		assert.deepEqual(output.pages, [{ImageHeight: 2201}, {ImageHeight: 2202}, {ImageHeight: 2203}])
+	})
+
+	it(`pages use ifd0 skip`, async () => {
+		let output = await exifr.parse(await getFile(file), {pages: true, ifd0: {skip: ['DocumentName']}})
+		for (let page of output.pages)
+			assert.isUndefined(page.DocumentName)
+	})
+
+	it(`pages are not translated when {translateKeys: false}`, async () => {
+		let output = await exifr.parse(await getFile(file), {pages: true, translateKeys: false})
+		assert.equal(output.pages[1][0x0101], 2202)
+	})
+
+	it(`stops at already visited IFD when the chain loops`, async () => {
+		let output = await exifr.parse(await getFile('multipage/looped-chain.tif'), {pages: true})
+		assert.lengthOf(output.pages, 3)
+		assert.equal(output.pages[2].ImageHeight, 2203)
+	})
+
+	it(`returns IFD0 and IFD1 as pages of JPEG`, async () => {
+		let output = await exifr.parse(await getFile('IMG_20180725_163423.jpg'), {pages: true})
+		assert.lengthOf(output.pages, 2)
+		assert.equal(output.pages[0].Make, output.Make)
+		assert.equal(output.pages[1].ImageHeight, 189)
+	})
+
+})
+
+describe('TIFF - GeoTIFF Block', () => {
+
+	let projected  = 'geotiff/utm-projected.tif'
+	let geographic = 'geotiff/wgs84-geographic.tif'
+
+	it(`output.geotiff is undefined by default`, async () => {
+		let output = await exifr.parse(await getFile(projected), {mergeOutput: false})
+		assert.isUndefined(output.geotiff)
+		assert.exists(output.ifd0.GeoTiffDirectory)
+	})
+
+	it(`output.geotiff is object when {geotiff: true}`, async () => {
+		let output = await exifr.parse(await getFile(projected), {mergeOutput: false, geotiff: true})
+		assert.isObject(output.geotiff)
+		assert.equal(output.geotiff.GTModelTypeGeoKey, 'Projected')
+		assert.equal(output.geotiff.GTRasterTypeGeoKey, 'PixelIsArea')
+		assert.equal(output.geotiff.ProjectedCSTypeGeoKey, 32633)
+	})
+
+	it(`output.geotiff is defined when {geotiff: true, tiff: false}`, async () => {
+		let output = await exifr.parse(await getFile(projected), {mergeOutput: false, geotiff: true, tiff: false})
+		assert.equal(output.geotiff.ProjectedCSTypeGeoKey, 32633)
+	})
+
+	it(`output.ifd0 is undefined when {geotiff: true, ifd0: false}`, async () => {
+		let output = await exifr.parse(await getFile(projected), {mergeOutput: false, geotiff: true, ifd0: false})
+		assert.isUndefined(output.ifd0)
+		assert.equal(output.geotiff.ProjectedCSTypeGeoKey, 32633)
+		assert.isArray(output.geotiff.BoundingBox)
+	})
+
+	it(`output.geotiff is undefined in files without GeoKey directory`, async () => {
+		let output = await exifr.parse(await getFile('IMG_20180725_163423.jpg'), {mergeOutput: false, geotiff: true})
+		assert.isUndefined(output.geotiff)
+	})
+
+	it(`GeoKeys are kept in output.geotiff even with mergeOutput`, async () => {
+		let output = await exifr.parse(await getFile(projected), {geotiff: true})
+		assert.equal(output.geotiff.ProjectedCSTypeGeoKey, 32633)
+		assert.equal(output.ImageWidth, 400)
+		assert.isUndefined(output.ProjectedCSTypeGeoKey)
+	})
+
+	it(`reads values from GeoAsciiParams`, async () => {
+		let output = await exifr.parse(await getFile(projected), {geotiff: true})
+		assert.equal(output.geotiff.GTCitationGeoKey, 'WGS 84 / UTM zone 33N')
+	})
+
+	it(`reads values from GeoDoubleParams`, async () => {
+		let output = await exifr.parse(await getFile(geographic), {geotiff: true})
+		assert.equal(output.geotiff.GeographicTypeGeoKey, 4326)
+		assert.equal(output.geotiff.GeogAngularUnitsGeoKey, 9102)
+		assert.equal(output.geotiff.GeogSemiMajorAxisGeoKey, 6378137)
+	})
+
+	it(`raw GeoKey ids and values are kept with {translateKeys: false, translateValues: false}`, async () => {
+		let options = {mergeOutput: false, geotiff: true, translateKeys: false, translateValues: false}
+		let output = await exifr.parse(await getFile(projected), options)
+		assert.equal(output.geotiff[1024], 1)
+		assert.equal(output.geotiff[3072], 32633)
+	})
+
+	it(`BoundingBox is calculated from tiepoint and pixel scale`, async () => {
+		let output = await exifr.parse(await getFile(projected), {geotiff: true})
+		assert.deepEqual(output.geotiff.BoundingBox, [500000, 5499850, 500200, 5500000])
+	})
+
+	it(`BoundingBox is shifted by half a pixel for PixelIsPoint rasters`, async () => {
+		let output = await exifr.parse(await getFile(geographic), {geotiff: true})
+		assert.equal(output.geotiff.GTRasterTypeGeoKey, 'PixelIsPoint')
+		assert.deepEqual(output.geotiff.BoundingBox, [-180, -90, 180, 90])
+	})
+
+	it(`geotiff pick`, async () => {
+		let output = await exifr.parse(await getFile(projected), {mergeOutput: false, geotiff: ['ProjectedCSTypeGeoKey']})
+		assert.deepEqual(Object.keys(output.geotiff), ['ProjectedCSTypeGeoKey', 'BoundingBox'])
+	})
+
+	it(`geotiff skip`, async () => {
+		let output = await exifr.parse(await getFile(projected), {mergeOutput: false, geotiff: {skip: ['GTCitationGeoKey']}})
+		assert.isUndefined(output.geotiff.GTCitationGeoKey)
+		assert.equal(output.geotiff.ProjectedCSTypeGeoKey, 32633)
+	})
+
+})
+
+
 describe('TIFF - Embedded XMP, ICC, IPTC in .tif files', () => {
 
 	let input